@@ -0,0 +1,72 @@
+// In-game chat: quick phrases, the word filter and the per-player rate limit
+
+// Canned messages for players who do not want free text, by the ID clients send
+const QUICK_PHRASES = {
+  goodLuck: 'Good luck',
+  haveFun: 'Have fun',
+  goodGame: 'Good game',
+  wellPlayed: 'Well played',
+  niceMove: 'Nice move',
+  thanks: 'Thanks',
+  oops: 'Oops',
+  rematch: 'Rematch?'
+};
+
+const MAX_MESSAGE_LENGTH = 200;
+
+// At most RATE_LIMIT_MESSAGES messages per player within RATE_LIMIT_WINDOW milliseconds
+const RATE_LIMIT_MESSAGES = 5;
+const RATE_LIMIT_WINDOW = 10 * 1000;
+
+const BANNED_WORDS = (process.env.CHAT_BANNED_WORDS || 'porra,caralho,merda,puta,otario,idiota,fuck,shit,bitch,asshole')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const bannedPattern = BANNED_WORDS.length > 0
+  ? new RegExp(`(^|[^\\p{L}\\p{N}])(${BANNED_WORDS.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'giu')
+  : null;
+
+// Replaces banned words with asterisks of the same length
+const filterMessage = (text) => {
+  if (!bannedPattern) return text;
+  return text.replace(bannedPattern, (match, before, word) => before + '*'.repeat(word.length));
+};
+
+const isQuickPhrase = (phrase) => Object.prototype.hasOwnProperty.call(QUICK_PHRASES, phrase);
+
+// Sliding window of send times per user ID. Users with nothing left in the window are
+// dropped once per window, so the map only holds those who chatted recently.
+const createRateLimiter = () => {
+  const sent = new Map();
+  let lastSweep = Date.now();
+
+  return (userId, now = Date.now()) => {
+    if (now - lastSweep >= RATE_LIMIT_WINDOW) {
+      for (const [id, times] of sent) {
+        if (now - times[times.length - 1] >= RATE_LIMIT_WINDOW) sent.delete(id);
+      }
+      lastSweep = now;
+    }
+
+    const recent = (sent.get(userId) || []).filter(time => now - time < RATE_LIMIT_WINDOW);
+    if (recent.length >= RATE_LIMIT_MESSAGES) {
+      sent.set(userId, recent);
+      return false;
+    }
+
+    recent.push(now);
+    sent.set(userId, recent);
+    return true;
+  };
+};
+
+module.exports = {
+  QUICK_PHRASES,
+  MAX_MESSAGE_LENGTH,
+  isQuickPhrase,
+  filterMessage,
+  createRateLimiter
+};
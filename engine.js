@@ -0,0 +1,206 @@
+// Search-based move selection for the computer opponent, on top of the move generation in rules.js
+const rules = require('./rules');
+
+// Search depth in plies, time budget in milliseconds and how many points (a man is worth
+// 100) a move may be worse than the best one and still be picked
+const DIFFICULTY_LEVELS = {
+  beginner: { depth: 1, timeLimit: 100, randomness: 150 },
+  easy: { depth: 2, timeLimit: 200, randomness: 60 },
+  medium: { depth: 4, timeLimit: 500, randomness: 15 },
+  hard: { depth: 8, timeLimit: 1000, randomness: 0 }
+};
+
+// Shallow search used for every ply of a post-game review, and the time a whole review may
+// take; long games get less time per ply
+const REVIEW_LEVEL = { depth: 3, timeLimit: 100 };
+const REVIEW_TIME_BUDGET = 3000;
+
+// Points lost against the best move before a move is flagged in a review
+const REVIEW_THRESHOLDS = [
+  { label: 'blunder', loss: 150 },
+  { label: 'mistake', loss: 60 },
+  { label: 'inaccuracy', loss: 25 }
+];
+
+const WIN_SCORE = 100000;
+const MAX_CAPTURE_EXTENSION = 6;
+
+const otherColor = (playerColor) => (playerColor === 'b' ? 'r' : 'b');
+
+const cloneBoard = (board) => board.map(row => [...row]);
+
+// Material and advancement from the point of view of `playerColor`
+const evaluate = (board, playerColor, variant) => {
+  const size = board.length;
+  const kingValue = variant.flyingKings ? 325 : 160;
+  let score = 0;
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const piece = board[row][col];
+      if (!piece) continue;
+
+      const color = piece.toLowerCase();
+      let value;
+      if (rules.isKing(piece)) {
+        value = kingValue;
+      } else {
+        const advanced = color === 'b' ? size - 1 - row : row;
+        const central = col > 1 && col < size - 2 ? 4 : 0;
+        value = 100 + advanced * 3 + central;
+      }
+
+      score += color === playerColor ? value : -value;
+    }
+  }
+
+  return score;
+};
+
+class SearchTimeout extends Error {}
+
+// Negamax with alpha-beta pruning. Forced captures are followed past the nominal depth
+// so the evaluation is never taken in the middle of an exchange.
+const search = (board, playerColor, variant, depth, alpha, beta, context, ply) => {
+  if (Date.now() > context.deadline) throw new SearchTimeout();
+  context.nodes++;
+
+  const moves = rules.findLegalMoves(board, playerColor, variant);
+  if (moves.length === 0) {
+    return { score: -WIN_SCORE + ply, pv: [] };
+  }
+
+  const isCapture = moves[0].captured.length > 0;
+  if (depth <= 0 && (!isCapture || depth <= -MAX_CAPTURE_EXTENSION)) {
+    return { score: evaluate(board, playerColor, variant), pv: [] };
+  }
+
+  let best = { score: -Infinity, pv: [] };
+  for (const move of moves) {
+    const next = cloneBoard(board);
+    rules.applyMove(next, move);
+
+    const reply = search(next, otherColor(playerColor), variant, depth - 1, -beta, -alpha, context, ply + 1);
+    const score = -reply.score;
+
+    if (score > best.score) {
+      best = { score, pv: [move, ...reply.pv] };
+    }
+    alpha = Math.max(alpha, score);
+    if (alpha >= beta) break;
+  }
+
+  return best;
+};
+
+// Scores every root move with iterative deepening until the depth or the time budget runs out
+const analysePosition = (board, playerColor, variant, { depth, timeLimit }) => {
+  const moves = rules.findLegalMoves(board, playerColor, variant);
+  if (moves.length === 0) return { moves: [], depth: 0, nodes: 0 };
+
+  const context = { deadline: Date.now() + timeLimit, nodes: 0 };
+  let scored = moves.map(move => ({ move, score: 0, pv: [move] }));
+  let completedDepth = 0;
+
+  try {
+    for (let currentDepth = 1; currentDepth <= depth; currentDepth++) {
+      const results = [];
+
+      for (const { move } of scored) {
+        const next = cloneBoard(board);
+        rules.applyMove(next, move);
+
+        const reply = search(next, otherColor(playerColor), variant, currentDepth - 1, -Infinity, Infinity, context, 1);
+        results.push({ move, score: -reply.score, pv: [move, ...reply.pv] });
+      }
+
+      // Best moves first so the next iteration searches them first
+      scored = results.sort((a, b) => b.score - a.score);
+      completedDepth = currentDepth;
+    }
+  } catch (error) {
+    if (!(error instanceof SearchTimeout)) throw error;
+  }
+
+  if (completedDepth === 0) {
+    scored = scored.map(entry => {
+      const next = cloneBoard(board);
+      rules.applyMove(next, entry.move);
+      return { ...entry, score: -evaluate(next, otherColor(playerColor), variant) };
+    }).sort((a, b) => b.score - a.score);
+  }
+
+  return { moves: scored, depth: completedDepth, nodes: context.nodes };
+};
+
+// Picks a move for the computer at the given difficulty. Weaker levels choose at random
+// among the moves that are not much worse than the best one.
+const chooseMove = (board, playerColor, variant, difficulty) => {
+  const level = DIFFICULTY_LEVELS[difficulty];
+  const { moves } = analysePosition(board, playerColor, variant, level);
+  if (moves.length === 0) return null;
+
+  const candidates = moves.filter(entry => entry.score >= moves[0].score - level.randomness);
+  return candidates[Math.floor(Math.random() * candidates.length)].move;
+};
+
+const toPath = (move) => move.path;
+
+// Best move, principal variation (as paths) and score for the side to move
+const findBestLine = (board, playerColor, variant, level = DIFFICULTY_LEVELS.hard) => {
+  const { moves, depth } = analysePosition(board, playerColor, variant, level);
+  if (moves.length === 0) {
+    return { bestMove: null, principalVariation: [], score: -WIN_SCORE, depth: 0 };
+  }
+
+  return {
+    bestMove: toPath(moves[0].move),
+    principalVariation: moves[0].pv.map(toPath),
+    score: moves[0].score,
+    depth
+  };
+};
+
+// Goes through a finished game and compares every move played with the engine's choice.
+// Scores are from the point of view of the player who made the move.
+const reviewGame = (variant, paths) => {
+  const board = rules.createInitialBoard(variant);
+  const annotations = [];
+  const level = { ...REVIEW_LEVEL, timeLimit: Math.min(REVIEW_LEVEL.timeLimit, REVIEW_TIME_BUDGET / Math.max(paths.length, 1)) };
+  let playerColor = 'b';
+
+  for (const path of paths) {
+    const { moves } = analysePosition(board, playerColor, variant, level);
+    const played = moves.find(entry => rules.findMoveByPath([entry.move], path));
+    if (!played) break;
+
+    const loss = Math.max(0, moves[0].score - played.score);
+    const threshold = REVIEW_THRESHOLDS.find(entry => loss >= entry.loss);
+
+    annotations.push({
+      ply: annotations.length + 1,
+      color: playerColor,
+      played: path,
+      playedScore: played.score,
+      best: toPath(moves[0].move),
+      bestScore: moves[0].score,
+      loss,
+      classification: threshold ? threshold.label : null
+    });
+
+    rules.applyMove(board, played.move);
+    playerColor = otherColor(playerColor);
+  }
+
+  return annotations;
+};
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  WIN_SCORE,
+  evaluate,
+  analysePosition,
+  chooseMove,
+  findBestLine,
+  reviewGame
+};
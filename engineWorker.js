@@ -0,0 +1,98 @@
+// Runs engine searches on worker threads, so a computer move or a game review does not hold
+// up every other game's sockets and clocks while it thinks
+const os = require('os');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+// Searches run at the same time; anything beyond waits its turn
+const ENGINE_WORKERS = parseInt(process.env.ENGINE_WORKERS, 10) || Math.max(1, os.cpus().length - 1);
+
+// Worker side: answers one search request at a time
+const serveSearches = () => {
+  const engine = require('./engine');
+  const rules = require('./rules');
+
+  // Variants and levels travel by name, the worker has its own copy of the tables
+  const tasks = {
+    chooseMove: (board, playerColor, variant, difficulty) =>
+      engine.chooseMove(board, playerColor, rules.getVariant(variant), difficulty),
+    findBestLine: (board, playerColor, variant, difficulty) =>
+      engine.findBestLine(board, playerColor, rules.getVariant(variant), engine.DIFFICULTY_LEVELS[difficulty]),
+    reviewGame: (variant, paths) => engine.reviewGame(rules.getVariant(variant), paths)
+  };
+
+  parentPort.on('message', ({ task, args }) => {
+    try {
+      parentPort.postMessage({ result: tasks[task](...args) });
+    } catch (error) {
+      parentPort.postMessage({ error: error.message });
+    }
+  });
+};
+
+if (!isMainThread) {
+  serveSearches();
+}
+
+const workers = []; // { worker, job } per running thread; job is the search it is busy with
+const queues = { game: [], background: [] }; // Moves and hints for games in play go first
+
+const retire = (slot, error) => {
+  if (!workers.includes(slot)) return;
+
+  workers.splice(workers.indexOf(slot), 1);
+  slot.job?.reject(error);
+  dispatch();
+};
+
+const spawn = () => {
+  const slot = { worker: new Worker(__filename), job: null };
+
+  slot.worker.on('message', ({ result, error }) => {
+    const { job } = slot;
+    slot.job = null;
+    slot.worker.unref();
+    if (error) job.reject(new Error(error));
+    else job.resolve(result);
+    dispatch();
+  });
+  slot.worker.on('error', error => retire(slot, error));
+  slot.worker.on('exit', code => retire(slot, new Error(`Engine worker stopped with code ${code}`)));
+
+  workers.push(slot);
+  return slot;
+};
+
+const dispatch = () => {
+  while (queues.game.length > 0 || queues.background.length > 0) {
+    const slot = workers.find(s => !s.job) || (workers.length < ENGINE_WORKERS ? spawn() : null);
+    if (!slot) return;
+
+    // Only threads with a search under way keep the process alive
+    slot.job = queues.game.shift() || queues.background.shift();
+    slot.worker.ref();
+    slot.worker.postMessage({ task: slot.job.task, args: slot.job.args });
+  }
+};
+
+const run = (task, args, queue = 'game') => new Promise((resolve, reject) => {
+  queues[queue].push({ task, args, resolve, reject });
+  dispatch();
+});
+
+// Same as engine.chooseMove
+const chooseMove = (board, playerColor, variant, difficulty) =>
+  run('chooseMove', [board, playerColor, variant.name, difficulty]);
+
+// Same as engine.findBestLine, with the level given by its difficulty name. Requests that
+// are not for a game in play wait behind those that are.
+const findBestLine = (board, playerColor, variant, difficulty = 'hard', { background = false } = {}) =>
+  run('findBestLine', [board, playerColor, variant.name, difficulty], background ? 'background' : 'game');
+
+// Same as engine.reviewGame; reviews always wait behind games in play
+const reviewGame = (variant, paths) => run('reviewGame', [variant.name, paths], 'background');
+
+module.exports = {
+  chooseMove,
+  findBestLine,
+  reviewGame
+};
@@ -0,0 +1,45 @@
+// Friendship lookups shared by the REST routes and the game server
+const { Friendship } = require('./models');
+
+// A friendship is stored once, whichever of the two users asked
+const between = (userId, otherId) => ({
+  $or: [
+    { requester: userId, recipient: otherId },
+    { requester: otherId, recipient: userId }
+  ]
+});
+
+const findFriendship = (userId, otherId) => Friendship.findOne(between(userId, otherId));
+
+const otherUser = (friendship, userId) => (
+  friendship.requester.equals(userId) ? friendship.recipient : friendship.requester
+);
+
+// IDs, as strings, of everyone `userId` is friends with
+const getFriendIds = async (userId) => {
+  const friendships = await Friendship.find({
+    status: 'accepted',
+    $or: [{ requester: userId }, { recipient: userId }]
+  }).select('requester recipient');
+
+  return friendships.map(friendship => otherUser(friendship, userId).toString());
+};
+
+const areFriends = async (userId, otherId) => {
+  const friendship = await findFriendship(userId, otherId);
+  return friendship?.status === 'accepted';
+};
+
+// True when either user has blocked the other
+const isBlocked = async (userId, otherId) => {
+  const friendship = await findFriendship(userId, otherId);
+  return friendship?.status === 'blocked';
+};
+
+module.exports = {
+  findFriendship,
+  otherUser,
+  getFriendIds,
+  areFriends,
+  isBlocked
+};
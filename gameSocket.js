@@ -1,6 +1,127 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
-const { User, GameMatch, Transaction } = require('./models');
+const { User, GameMatch, Transaction, RatingHistory, Tournament } = require('./models');
+const rules = require('./rules');
+const engine = require('./engine');
+const engineWorker = require('./engineWorker');
+const rating = require('./rating');
+const tournaments = require('./tournament');
+const friends = require('./friends');
+const chat = require('./chat');
+
+// Time controls players can pick, as "minutes+increment in seconds"
+const TIME_CONTROLS = ['1+0', '3+0', '3+2', '5+0', '5+3', '10+0', '10+5'];
+const DEFAULT_TIME_CONTROL = '10+0';
+
+// Pause before the computer answers, so its replies don't land instantly
+const BOT_MOVE_DELAY = 500;
+
+// How long a disconnected player has to come back before forfeiting
+const RECONNECT_GRACE_PERIOD = parseInt(process.env.RECONNECT_GRACE_PERIOD_MS, 10) || 60 * 1000;
+
+// Spectators of staked and tournament games see every event this much later, so they cannot
+// feed moves to a player
+const SPECTATOR_DELAY = Number(process.env.SPECTATOR_DELAY_MS ?? 30 * 1000);
+
+// How long after a game ends its players can agree to a rematch
+const REMATCH_WINDOW = parseInt(process.env.REMATCH_WINDOW_MS, 10) || 30 * 1000;
+
+// How long a private room waits for its guest before it is called off and the host refunded
+const PRIVATE_ROOM_EXPIRY = parseInt(process.env.PRIVATE_ROOM_EXPIRY_MS, 10) || 15 * 60 * 1000;
+
+// Matchmaking groups bets into stake tiers, given by their lowest bet; unstaked games are
+// a tier of their own. Two players of a tier play for the smaller of their bets.
+const STAKE_TIERS = (process.env.STAKE_TIERS || '1,5,10,25,50,100,250')
+  .split(',')
+  .map(Number)
+  .sort((a, b) => a - b);
+
+// Players are paired within a rating range that widens by RATING_RANGE_GROWTH points
+// for every second spent waiting
+const RATING_RANGE_INITIAL = 100;
+const RATING_RANGE_GROWTH = 5;
+const RATING_RANGE_MAX = 800;
+
+// How often queues are swept for pairs and waiting players told where they stand, and how
+// long anyone waits before giving up
+const MATCHMAKING_INTERVAL = parseInt(process.env.MATCHMAKING_INTERVAL_MS, 10) || 5 * 1000;
+const MATCHMAKING_TIMEOUT = parseInt(process.env.MATCHMAKING_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+// Number of recent waits per queue the wait estimate is averaged over
+const RECENT_WAITS = 20;
+
+const stakeTier = (betAmount) => {
+  if (betAmount === 0) return 0;
+  return STAKE_TIERS.filter(tier => tier <= betAmount).pop() ?? STAKE_TIERS[0];
+};
+
+const ratingRange = (entry, now) => Math.min(
+  RATING_RANGE_INITIAL + RATING_RANGE_GROWTH * (now - entry.joinedAt) / 1000,
+  RATING_RANGE_MAX
+);
+
+const spectatorDelay = (gameState) =>
+  gameState.betAmount > 0 || gameState.tournamentId ? SPECTATOR_DELAY : 0;
+
+// Game state left out of snapshots: it is derived from the rest, or only means something
+// to the running process, and is rebuilt when a game is restored
+const UNSAVED_STATE = ['spectatorView', 'finished', 'gameStats', 'turnStartedAt', 'disconnectedPlayers'];
+
+// Takeback history boards are saved one string per row, '-' for an empty square
+const packBoard = (board) => board.map(row => row.map(piece => piece || '-').join(''));
+const unpackBoard = (rows) => rows.map(row => [...row].map(square => (square === '-' ? null : square)));
+
+// What restoring a game and taking back its moves need
+const snapshotOf = (gameState) => {
+  const snapshot = Object.fromEntries(Object.entries(gameState).filter(([key]) => !UNSAVED_STATE.includes(key)));
+  snapshot.moveHistory = gameState.moveHistory.map(entry => ({ ...entry, board: packBoard(entry.board) }));
+  return snapshot;
+};
+
+// How often tournaments are checked for closed registrations and finished rounds
+const TOURNAMENT_CHECK_INTERVAL = parseInt(process.env.TOURNAMENT_CHECK_INTERVAL_MS, 10) || 30 * 1000;
+
+// Platform commission on the pot of a won staked game: a percentage, optionally kept
+// between a minimum and a cap
+const RAKE_PERCENT = Number(process.env.RAKE_PERCENT ?? 5);
+const RAKE_MIN = Number(process.env.RAKE_MIN ?? 0);
+const RAKE_CAP = process.env.RAKE_CAP ? Number(process.env.RAKE_CAP) : Infinity;
+
+const calculateRake = (pot) => {
+  if (pot <= 0) return 0;
+  const fee = Math.min(Math.max(pot * RAKE_PERCENT / 100, RAKE_MIN), RAKE_CAP, pot);
+  return Math.round(fee * 100) / 100;
+};
+
+// Counts the position reached by `move`, already played on the board, and the king moves
+// in a row; returns 'repetition' or 'kingMoves' once the game is drawn that way. Captures
+// and man moves can never be undone, so earlier positions cannot repeat after them.
+const recordDrawProgress = (gameState, move, isCapture, nextColor) => {
+  const isKingMove = rules.isKing(gameState.board[move.to.row][move.to.col]) && !move.promoted;
+  if (isKingMove && !isCapture) {
+    gameState.kingOnlyMoves += 1;
+  } else {
+    gameState.kingOnlyMoves = 0;
+    gameState.positionCounts = {};
+  }
+
+  const positionKey = rules.getPositionKey(gameState.board, nextColor);
+  gameState.positionCounts[positionKey] = (gameState.positionCounts[positionKey] || 0) + 1;
+
+  if (gameState.positionCounts[positionKey] >= 3) return 'repetition';
+  if (gameState.kingOnlyMoves >= rules.getVariant(gameState.variant).kingMoveDrawLimit * 2) return 'kingMoves';
+  return null;
+};
+
+const spectatorRoom = (roomCode) => `${roomCode}:spectators`;
+
+const parseTimeControl = (timeControl) => {
+  const [minutes, increment] = timeControl.split('+').map(Number);
+  return {
+    initial: minutes * 60 * 1000,
+    increment: increment * 1000
+  };
+};
 
 class GameSocket {
   constructor(server) {
@@ -11,9 +132,21 @@ class GameSocket {
       }
     });
 
-    this.matchmakingQueues = new Map(); // Map of bet amounts to arrays of waiting players
+    this.matchmakingQueues = new Map(); // Map of variant + time control + stake tier keys to arrays of waiting players
+    this.recentWaits = new Map(); // Map of queue keys to how long the last players paired there waited
     this.activeGames = new Map(); // Map of room IDs to game states
+    this.pendingPlayers = new Set(); // User IDs whose game is being created and not yet in activeGames
+    this.clockTimers = new Map(); // Map of room IDs to the flag-fall timer of the player on move
+    this.disconnectTimers = new Map(); // Map of user IDs to their forfeit timer while disconnected
+    this.rematchWindows = new Map(); // Map of finished room IDs to pending rematch details
+    this.roomExpiryTimers = new Map(); // Map of private room codes waiting for a guest to their expiry timer
+    this.draining = false; // Set while the server shuts down; no new games are started
     this.playerSockets = new Map(); // Map of user IDs to socket IDs
+    this.allowChatMessage = chat.createRateLimiter();
+    this.tournamentTasks = new Map(); // Map of tournament IDs to the last queued update, so updates run one at a time
+    this.matchWrites = new Map(); // Map of room IDs to the last queued write of the game's match
+    this.matchmakingTimer = setInterval(() => this.runMatchmaking(), MATCHMAKING_INTERVAL);
+    this.tournamentTimer = setInterval(() => this.runTournaments(), TOURNAMENT_CHECK_INTERVAL);
     this.setupSocketHandlers();
   }
 
@@ -42,84 +175,304 @@ class GameSocket {
     this.io.on('connection', (socket) => {
       console.log(`User connected: ${socket.user.username}`);
       this.playerSockets.set(socket.user.id.toString(), socket.id);
+      this.handleReconnect(socket);
+      this.announcePresence(socket.user, 'friendOnline');
+      this.sendFriendsPresence(socket);
+
+      // Events that only make sense for someone playing; spectators are turned away
+      const playerOnly = (handler) => (...args) => {
+        if (socket.data.watching) {
+          return socket.emit('error', { message: 'Spectators cannot take part in the game' });
+        }
+        handler(...args);
+      };
 
-      socket.on('findMatch', (data) => this.handleFindMatch(socket, data));
+      // Looking for a game of your own stops watching someone else's
+      const startsPlaying = (handler) => (...args) => {
+        this.leaveSpectatorRoom(socket);
+        handler(...args);
+      };
+
+      socket.on('findMatch', startsPlaying((data) => this.handleFindMatch(socket, data)));
       socket.on('cancelFindMatch', () => this.handleCancelFindMatch(socket));
-      socket.on('createPrivateRoom', (data) => this.handleCreatePrivateRoom(socket, data));
-      socket.on('joinPrivateRoom', (data) => this.handleJoinPrivateRoom(socket, data));
-      socket.on('makeMove', (data) => this.handleGameMove(socket, data));
-      socket.on('surrender', () => this.handleSurrender(socket));
+      socket.on('createPrivateRoom', startsPlaying((data) => this.handleCreatePrivateRoom(socket, data)));
+      socket.on('joinPrivateRoom', startsPlaying((data) => this.handleJoinPrivateRoom(socket, data)));
+      socket.on('cancelPrivateRoom', () => this.handleCancelPrivateRoom(socket));
+      socket.on('challengeFriend', startsPlaying((data) => this.handleChallengeFriend(socket, data)));
+      socket.on('acceptChallenge', startsPlaying((data) => this.handleJoinPrivateRoom(socket, data)));
+      socket.on('declineChallenge', (data) => this.handleDeclineChallenge(socket, data));
+      socket.on('playVsBot', startsPlaying((data) => this.handlePlayVsBot(socket, data)));
+      socket.on('makeMove', playerOnly((data) => this.handleGameMove(socket, data)));
+      socket.on('surrender', playerOnly(() => this.handleSurrender(socket)));
+      socket.on('offerDraw', playerOnly(() => this.handleOfferDraw(socket)));
+      socket.on('acceptDraw', playerOnly(() => this.handleAcceptDraw(socket)));
+      socket.on('declineDraw', playerOnly(() => this.handleDeclineDraw(socket)));
+      socket.on('requestTakeback', playerOnly(() => this.handleRequestTakeback(socket)));
+      socket.on('acceptTakeback', playerOnly(() => this.handleAcceptTakeback(socket)));
+      socket.on('declineTakeback', playerOnly(() => this.handleDeclineTakeback(socket)));
+      socket.on('offerRematch', playerOnly(() => this.handleOfferRematch(socket)));
+      socket.on('acceptRematch', playerOnly(() => this.handleAcceptRematch(socket)));
+      socket.on('declineRematch', playerOnly(() => this.handleDeclineRematch(socket)));
       socket.on('disconnect', () => this.handleDisconnect(socket));
 
+      // Spectators
+      socket.on('listLiveGames', () => this.handleListLiveGames(socket));
+      socket.on('watchGame', (data) => this.handleWatchGame(socket, data));
+      socket.on('stopWatching', () => this.handleStopWatching(socket));
+
       // Additional event handlers
       socket.on('requestGameState', () => this.handleGameStateRequest(socket));
-      socket.on('requestAvailableMoves', (position) => this.handleAvailableMovesRequest(socket, position));
+      socket.on('requestAvailableMoves', playerOnly((position) => this.handleAvailableMovesRequest(socket, position)));
+      socket.on('requestHint', playerOnly(() => this.handleHintRequest(socket)));
+
+      // Chat
+      socket.on('chatMessage', playerOnly((data) => this.handleChatMessage(socket, data)));
+      socket.on('toggleMute', playerOnly(() => this.handleToggleMute(socket)));
+      socket.on('setChatMode', (data) => this.handleSetChatMode(socket, data));
     });
   }
 
-  async handleFindMatch(socket, { betAmount }) {
+  async handleFindMatch(socket, { betAmount: requestedBet = 0, variant = rules.DEFAULT_VARIANT, timeControl = DEFAULT_TIME_CONTROL }) {
     try {
-      const user = socket.user;
-      
-      if (betAmount < 0 || user.balance < betAmount) {
+      // Balance and rating are read again, the ones loaded at connection may be out of date
+      const user = await User.findById(socket.user.id).select('username balance ratings');
+      const betAmount = Number(requestedBet);
+
+      if (!Number.isFinite(betAmount) || betAmount < 0 || user.balance < betAmount) {
         return socket.emit('error', { message: 'Insufficient balance' });
       }
 
+      if (!rules.getVariant(variant)) {
+        return socket.emit('error', { message: 'Invalid variant' });
+      }
+
+      if (!TIME_CONTROLS.includes(timeControl)) {
+        return socket.emit('error', { message: 'Invalid time control' });
+      }
+
+      if (this.draining) {
+        return socket.emit('error', { message: 'Server is under maintenance' });
+      }
+
       if (this.isPlayerInQueue(user.id) || this.isPlayerInGame(user.id)) {
         return socket.emit('error', { message: 'Already in queue or game' });
       }
 
-      const queueKey = betAmount.toString();
+      const queueKey = `${variant}:${timeControl}:${stakeTier(betAmount)}`;
       if (!this.matchmakingQueues.has(queueKey)) {
         this.matchmakingQueues.set(queueKey, []);
       }
 
-      const queue = this.matchmakingQueues.get(queueKey);
-      
-      if (queue.length > 0) {
-        const opponent = queue.shift();
-        await this.createMatch(user, opponent, betAmount);
-      } else {
-        queue.push({
-          id: user.id,
-          username: user.username,
-          socketId: socket.id
-        });
-        socket.emit('waitingForMatch');
+      this.matchmakingQueues.get(queueKey).push({
+        id: user.id,
+        username: user.username,
+        socketId: socket.id,
+        betAmount,
+        rating: user.ratings[variant].rating,
+        joinedAt: Date.now()
+      });
+
+      await this.matchQueue(queueKey);
+
+      if (this.isPlayerInQueue(user.id)) {
+        socket.emit('waitingForMatch', { stakeTier: stakeTier(betAmount) });
+        this.emitQueueStatus(queueKey);
       }
     } catch (error) {
       socket.emit('error', { message: 'Error finding match' });
     }
   }
 
+  // Periodic sweep: drops players who waited too long, pairs those whose rating ranges
+  // have grown enough and tells everyone else where they stand
+  async runMatchmaking() {
+    const now = Date.now();
+
+    for (const [queueKey, queue] of this.matchmakingQueues) {
+      for (const entry of queue.filter(p => now - p.joinedAt >= MATCHMAKING_TIMEOUT)) {
+        queue.splice(queue.indexOf(entry), 1);
+        this.io.to(entry.socketId).emit('matchmakingTimeout', { waited: now - entry.joinedAt });
+      }
+
+      await this.matchQueue(queueKey);
+      this.emitQueueStatus(queueKey);
+    }
+  }
+
+  // Pairs waiting players, longest waiting first, while anyone is within the other's range
+  async matchQueue(queueKey) {
+    const queue = this.matchmakingQueues.get(queueKey);
+    const [variant, timeControl] = queueKey.split(':');
+
+    let pair;
+    while ((pair = this.findPair(queue, Date.now()))) {
+      const [first, second] = pair;
+      queue.splice(queue.indexOf(first), 1);
+      queue.splice(queue.indexOf(second), 1);
+      this.recordWait(queueKey, first);
+      this.recordWait(queueKey, second);
+
+      try {
+        await this.createMatch(second, first, {
+          betAmount: Math.min(first.betAmount, second.betAmount),
+          variant,
+          timeControl
+        });
+      } catch (error) {
+        this.io.to(first.socketId).to(second.socketId).emit('error', { message: 'Error finding match' });
+      }
+    }
+
+    if (queue.length === 0 && this.matchmakingQueues.get(queueKey) === queue) {
+      this.matchmakingQueues.delete(queueKey);
+    }
+  }
+
+  findPair(queue, now) {
+    for (let i = 0; i < queue.length; i++) {
+      for (let j = i + 1; j < queue.length; j++) {
+        const difference = Math.abs(queue[i].rating - queue[j].rating);
+        if (difference <= ratingRange(queue[i], now) && difference <= ratingRange(queue[j], now)) {
+          return [queue[i], queue[j]];
+        }
+      }
+    }
+    return null;
+  }
+
+  recordWait(queueKey, entry) {
+    const waits = this.recentWaits.get(queueKey) || [];
+    waits.push(Date.now() - entry.joinedAt);
+    this.recentWaits.set(queueKey, waits.slice(-RECENT_WAITS));
+  }
+
+  // The estimate is the average wait of the last players paired in the same queue, or null
+  // before anyone has been
+  emitQueueStatus(queueKey) {
+    const queue = this.matchmakingQueues.get(queueKey);
+    if (!queue) return;
+
+    const now = Date.now();
+    const waits = this.recentWaits.get(queueKey) || [];
+    const averageWait = waits.length > 0 ? waits.reduce((sum, wait) => sum + wait, 0) / waits.length : null;
+
+    queue.forEach((entry, index) => {
+      const waited = now - entry.joinedAt;
+      this.io.to(entry.socketId).emit('queueStatus', {
+        position: index + 1,
+        queueSize: queue.length,
+        waited,
+        estimatedWait: averageWait === null ? null : Math.max(0, Math.round(averageWait - waited)),
+        ratingRange: Math.round(ratingRange(entry, now)),
+        timeoutAt: entry.joinedAt + MATCHMAKING_TIMEOUT
+      });
+    });
+  }
+
   handleCancelFindMatch(socket) {
     const userId = socket.user.id;
     this.removePlayerFromQueue(userId);
     socket.emit('matchCancelled');
   }
 
-  async handleCreatePrivateRoom(socket, { betAmount = 0 }) {
+  // The host's stake is held from the moment the room is created, on a match that waits
+  // for its second player
+  async handleCreatePrivateRoom(socket, { betAmount: requestedBet = 0, variant = rules.DEFAULT_VARIANT, timeControl = DEFAULT_TIME_CONTROL, invitedUsername = null }) {
     try {
       const user = socket.user;
-      
-      if (betAmount > 0 && user.balance < betAmount) {
+      const betAmount = Number(requestedBet);
+
+      if (!Number.isFinite(betAmount) || betAmount < 0) {
         return socket.emit('error', { message: 'Insufficient balance' });
       }
 
-      const roomCode = this.generateRoomCode();
-      const gameState = this.createGameState({
-        roomCode,
-        isPrivate: true,
-        betAmount,
-        creator: user
-      });
+      if (!rules.getVariant(variant)) {
+        return socket.emit('error', { message: 'Invalid variant' });
+      }
 
-      this.activeGames.set(roomCode, gameState);
-      socket.join(roomCode);
+      if (!TIME_CONTROLS.includes(timeControl)) {
+        return socket.emit('error', { message: 'Invalid time control' });
+      }
+
+      if (this.draining) {
+        return socket.emit('error', { message: 'Server is under maintenance' });
+      }
+
+      if (this.isPlayerInQueue(user.id) || this.isPlayerInGame(user.id)) {
+        return socket.emit('error', { message: 'Already in queue or game' });
+      }
+
+      await this.whilePending([user.id], async () => {
+        let invitedUser = null;
+        if (invitedUsername) {
+          invitedUser = await User.findOne({ username: invitedUsername });
+
+          if (!invitedUser || invitedUser.isBlocked) {
+            return socket.emit('error', { message: 'Invited user not found' });
+          }
+
+          if (invitedUser.id === user.id) {
+            return socket.emit('error', { message: 'You cannot invite yourself' });
+          }
+
+          if (await friends.isBlocked(user.id, invitedUser.id)) {
+            return socket.emit('error', { message: 'You cannot invite this player' });
+          }
+        }
+
+        const roomCode = this.generateRoomCode();
+        const expiresAt = new Date(Date.now() + PRIVATE_ROOM_EXPIRY);
+        const match = await GameMatch.create({
+          players: [{ user: user.id }],
+          betAmount,
+          isPrivate: true,
+          variant,
+          boardSize: rules.getVariant(variant).boardSize,
+          timeControl,
+          status: 'waiting',
+          roomCode,
+          invitedUser: invitedUser?._id,
+          expiresAt
+        });
+
+        if (betAmount > 0 && !(await this.deductBet(user.id, betAmount, match._id))) {
+          await GameMatch.deleteOne({ _id: match._id });
+          return socket.emit('error', { message: 'Insufficient balance' });
+        }
+
+        const gameState = this.createGameState({
+          roomCode,
+          matchId: match._id,
+          isPrivate: true,
+          betAmount,
+          variant,
+          timeControl,
+          creator: user,
+          players: [user]
+        });
+        gameState.invitedUser = invitedUser?.id || null;
+        gameState.expiresAt = expiresAt.getTime();
+
+        this.activeGames.set(roomCode, gameState);
+        this.scheduleRoomExpiry(gameState);
+        socket.join(roomCode);
       
-      socket.emit('privateRoomCreated', {
-        roomCode,
-        betAmount
+        const room = {
+          roomCode,
+          matchId: match._id,
+          host: user.username,
+          betAmount,
+          variant,
+          timeControl,
+          invitedUsername: invitedUser?.username || null,
+          expiresAt: gameState.expiresAt
+        };
+        socket.emit('privateRoomCreated', room);
+
+        const invitedSocketId = invitedUser && this.playerSockets.get(invitedUser.id);
+        if (invitedSocketId) {
+          this.io.to(invitedSocketId).emit('privateRoomInvite', room);
+        }
       });
     } catch (error) {
       socket.emit('error', { message: 'Error creating private room' });
@@ -131,496 +484,1624 @@ class GameSocket {
       const user = socket.user;
       const gameState = this.activeGames.get(roomCode);
 
-      if (!gameState) {
+      if (!gameState || !gameState.isPrivate) {
         return socket.emit('error', { message: 'Room not found' });
       }
 
+      if (this.draining) {
+        return socket.emit('error', { message: 'Server is under maintenance' });
+      }
+
       if (gameState.players.length >= 2) {
         return socket.emit('error', { message: 'Room is full' });
       }
 
-      if (gameState.betAmount > user.balance) {
-        return socket.emit('error', { message: 'Insufficient balance' });
+      if (gameState.invitedUser && gameState.invitedUser !== user.id) {
+        return socket.emit('error', { message: 'This room is reserved for another player' });
+      }
+
+      if (this.isPlayerInQueue(user.id) || this.isPlayerInGame(user.id)) {
+        return socket.emit('error', { message: 'Already in queue or game' });
       }
 
+      // Taking the seat before anything is awaited keeps a second guest out
+      this.clearRoomExpiry(roomCode);
       await this.addPlayerToGame(gameState, user);
+
+      // The guest gives the seat back if their balance no longer covers the stake
+      if (gameState.betAmount > 0 && !(await this.deductBet(user.id, gameState.betAmount, gameState.matchId))) {
+        gameState.players.pop();
+        this.scheduleRoomExpiry(gameState);
+        return socket.emit('error', { message: 'Insufficient balance' });
+      }
+
+      await GameMatch.findByIdAndUpdate(gameState.matchId, {
+        $push: { players: { user: user.id } },
+        $set: { status: 'active', startTime: new Date() }
+      });
+
       socket.join(roomCode);
       
-      this.startGame(gameState);
+      await this.startGame(gameState);
     } catch (error) {
       socket.emit('error', { message: 'Error joining private room' });
     }
   }
 
-  async handleSurrender(socket) {
+  async handleCancelPrivateRoom(socket) {
     try {
-      const user = socket.user;
-      const gameState = this.findGameByPlayerId(user.id);
+      const gameState = this.findGameByPlayerId(socket.user.id);
 
-      if (!gameState) {
-        return socket.emit('error', { message: 'No active game' });
+      if (!gameState || !gameState.isPrivate || gameState.creator !== socket.user.id) {
+        return socket.emit('error', { message: 'No private room to cancel' });
       }
 
-      const winner = gameState.players.find(p => p.id !== user.id);
-      await this.handleGameOver(gameState, winner.id);
+      if (gameState.players.length >= 2) {
+        return socket.emit('error', { message: 'The game has already started' });
+      }
+
+      await this.cancelPrivateRoom(gameState, 'cancelled');
     } catch (error) {
-      socket.emit('error', { message: 'Error processing surrender' });
+      socket.emit('error', { message: 'Error cancelling private room' });
     }
   }
 
-  handleDisconnect(socket) {
-    const userId = socket.user.id;
-    this.removePlayerFromQueue(userId);
-    
-    const gameState = this.findGameByPlayerId(userId);
-    if (gameState) {
-      this.handlePlayerDisconnect(gameState, userId);
-    }
+  // A private room reserved for a friend, who receives it as a privateRoomInvite
+  async handleChallengeFriend(socket, { username, betAmount = 0, variant = rules.DEFAULT_VARIANT, timeControl = DEFAULT_TIME_CONTROL } = {}) {
+    try {
+      const friend = await User.findOne({ username });
 
-    this.playerSockets.delete(userId);
-  }
+      if (!friend || !(await friends.areFriends(socket.user.id, friend.id))) {
+        return socket.emit('error', { message: 'You can only challenge your friends' });
+      }
 
-  createGameState({ roomCode, matchId = null, isPrivate = false, betAmount = 0, creator = null, players = [] }) {
-    return {
-      roomCode,
-      matchId,
-      isPrivate,
-      betAmount,
-      creator: creator?.id,
-      players: players.map(p => ({
-        id: p.id,
-        username: p.username
-      })),
-      board: this.createInitialBoard(),
-      currentTurn: null,
-      moveHistory: [],
-      lastMove: null,
-      gameStats: this.calculateGameStats(this.createInitialBoard())
-    };
-  }
+      if (!this.playerSockets.has(friend.id)) {
+        return socket.emit('error', { message: 'Your friend is offline' });
+      }
 
-  createInitialBoard() {
-    const board = Array(8).fill(null).map(() => Array(8).fill(null));
-    
-    // Place black pieces (b)
-    for (let row = 5; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        if ((row + col) % 2 === 1) {
-          board[row][col] = 'b';
-        }
+      if (this.isPlayerInGame(friend.id)) {
+        return socket.emit('error', { message: 'Your friend is already in a game' });
       }
+
+      await this.handleCreatePrivateRoom(socket, { betAmount, variant, timeControl, invitedUsername: username });
+    } catch (error) {
+      socket.emit('error', { message: 'Error sending challenge' });
     }
-    
-    // Place red pieces (r)
-    for (let row = 0; row < 3; row++) {
-      for (let col = 0; col < 8; col++) {
-        if ((row + col) % 2 === 1) {
-          board[row][col] = 'r';
-        }
+  }
+
+  // The invited player turns the room down; the host is refunded
+  async handleDeclineChallenge(socket, { roomCode } = {}) {
+    try {
+      const gameState = this.activeGames.get(roomCode);
+
+      if (!gameState || gameState.invitedUser !== socket.user.id || gameState.players.length >= 2) {
+        return socket.emit('error', { message: 'No challenge to decline' });
       }
+
+      this.io.to(roomCode).emit('challengeDeclined', { roomCode, by: socket.user.id });
+      await this.cancelPrivateRoom(gameState, 'declined');
+    } catch (error) {
+      socket.emit('error', { message: 'Error declining challenge' });
     }
-    
-    return board;
   }
 
-  calculateGameStats(board) {
-    const stats = {
-      black_pieces_count: 0,
-      black_kings_count: 0,
-      red_pieces_count: 0,
-      red_kings_count: 0
-    };
+  // Closes a private room nobody has joined and gives the host's stake back
+  async cancelPrivateRoom(gameState, reason) {
+    if (this.activeGames.get(gameState.roomCode) !== gameState || gameState.players.length >= 2) return;
 
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = board[row][col];
-        if (piece === 'b') stats.black_pieces_count++;
-        else if (piece === 'B') stats.black_kings_count++;
-        else if (piece === 'r') stats.red_pieces_count++;
-        else if (piece === 'R') stats.red_kings_count++;
+    this.clearRoomExpiry(gameState.roomCode);
+    this.activeGames.delete(gameState.roomCode);
+
+    try {
+      await GameMatch.findByIdAndUpdate(gameState.matchId, {
+        $set: { status: 'cancelled', endTime: new Date() }
+      });
+
+      if (gameState.betAmount > 0) {
+        await this.refundBet(gameState.creator, gameState.betAmount, gameState.matchId, 'Private room closed - bet refunded');
       }
+
+      this.io.to(gameState.roomCode).emit('privateRoomCancelled', {
+        roomCode: gameState.roomCode,
+        reason,
+        refund: gameState.betAmount
+      });
+    } catch (error) {
+      console.error('Error cancelling private room:', error);
     }
+  }
+
+  scheduleRoomExpiry(gameState) {
+    this.roomExpiryTimers.set(gameState.roomCode, setTimeout(
+      () => this.cancelPrivateRoom(gameState, 'expired'),
+      Math.max(0, gameState.expiresAt - Date.now())
+    ));
+  }
 
-    return stats;
+  clearRoomExpiry(roomCode) {
+    clearTimeout(this.roomExpiryTimers.get(roomCode));
+    this.roomExpiryTimers.delete(roomCode);
   }
 
-  async handleGameMove(socket, { from, to }) {
+  // Practice game against the computer: no stake, nothing touches the balance
+  async handlePlayVsBot(socket, { difficulty = 'medium', variant = rules.DEFAULT_VARIANT, timeControl = DEFAULT_TIME_CONTROL } = {}) {
     try {
       const user = socket.user;
-      const gameState = this.findGameByPlayerId(user.id);
 
-      if (!gameState) {
-        return socket.emit('error', { message: 'No active game' });
+      if (!engine.DIFFICULTY_LEVELS[difficulty]) {
+        return socket.emit('error', { message: 'Invalid difficulty' });
       }
 
-      const playerIndex = gameState.players.findIndex(p => p.id === user.id);
-      const playerColor = playerIndex === 0 ? 'b' : 'r';
-
-      if (gameState.currentTurn !== user.id) {
-        return socket.emit('error', { message: 'Not your turn' });
+      if (!rules.getVariant(variant)) {
+        return socket.emit('error', { message: 'Invalid variant' });
       }
 
-      if (gameState.lastMove && gameState.lastMove.playerId === user.id) {
-        if (from.row !== gameState.lastMove.endRow || from.col !== gameState.lastMove.endCol) {
-          return socket.emit('error', { message: 'Must continue capture sequence with the same piece' });
-        }
+      if (!TIME_CONTROLS.includes(timeControl)) {
+        return socket.emit('error', { message: 'Invalid time control' });
       }
 
-      const availableCaptures = this.findAllCaptures(gameState.board, playerColor);
-      if (availableCaptures.length > 0) {
-        const isCapture = this.isCaptureMove(gameState.board, from, to);
-        if (!isCapture) {
-          return socket.emit('error', { message: 'Capture move is mandatory' });
-        }
+      if (this.draining) {
+        return socket.emit('error', { message: 'Server is under maintenance' });
       }
 
-      if (!this.isValidMove(gameState, from, to, playerColor)) {
-        return socket.emit('error', { message: 'Invalid move' });
+      if (this.isPlayerInQueue(user.id) || this.isPlayerInGame(user.id)) {
+        return socket.emit('error', { message: 'Already in queue or game' });
       }
 
-      const moveResult = this.applyMove(gameState, from, to, playerColor);
-      gameState.gameStats = this.calculateGameStats(gameState.board);
+      await this.whilePending([user.id], async () => {
+        const match = await GameMatch.create({
+          players: [{ user: user.id }],
+          betAmount: 0,
+          variant,
+          boardSize: rules.getVariant(variant).boardSize,
+          timeControl,
+          isPractice: true,
+          botDifficulty: difficulty,
+          status: 'active',
+          startTime: new Date()
+        });
 
-      await GameMatch.findByIdAndUpdate(gameState.matchId, {
-        $push: {
-          moves: {
-            from,
-            to,
-            player: user.id
-          }
-        }
-      });
+        const gameState = this.createGameState({
+          matchId: match._id,
+          roomCode: match._id.toString(),
+          variant,
+          timeControl,
+          isPractice: true,
+          botDifficulty: difficulty,
+          players: [user, { id: `bot-${match._id}`, username: 'Computer', isBot: true }]
+        });
+
+        this.activeGames.set(gameState.roomCode, gameState);
+        socket.join(gameState.roomCode);
 
-      this.io.to(gameState.roomCode).emit('moveApplied', {
-        from,
-        to,
-        player: user.id,
-        gameStats: gameState.gameStats,
-        capturedPiece: moveResult.capturedPiece
+        await this.startGame(gameState);
       });
+    } catch (error) {
+      socket.emit('error', { message: 'Error starting practice game' });
+    }
+  }
 
-      const moreCapturesAvailable = moveResult.isCapture && 
-        this.findCapturesForPiece(gameState.board, to.row, to.col).length > 0;
+  async handleSurrender(socket) {
+    try {
+      const user = socket.user;
+      const gameState = this.findGameByPlayerId(user.id);
 
-      if (moreCapturesAvailable) {
-        gameState.lastMove = {
-          playerId: user.id,
-          endRow: to.row,
-          endCol: to.col
-        };
-        socket.emit('continuedTurn', { message: 'Additional captures available' });
-      } else {
-        gameState.lastMove = null;
-        gameState.currentTurn = gameState.players.find(p => p.id !== user.id).id;
-        this.io.to(gameState.roomCode).emit('turnChanged', {
-          currentTurn: gameState.currentTurn
-        });
+      if (!gameState) {
+        return socket.emit('error', { message: 'No active game' });
       }
 
-      if (this.isGameOver(gameState)) {
-        await this.handleGameOver(gameState);
-      }
+      const winner = gameState.players.find(p => p.id !== user.id);
+      await this.handleGameOver(gameState, winner.id, 'surrender');
     } catch (error) {
-      socket.emit('error', { message: 'Error processing move' });
+      socket.emit('error', { message: 'Error processing surrender' });
     }
   }
 
-  isValidMove(gameState, from, to, playerColor) {
-    const { board } = gameState;
-    const piece = board[from.row][from.col];
-
-    if (!piece || piece.toLowerCase() !== playerColor) return false;
-    if (board[to.row][to.col] !== null) return false;
+  // Public games that have started; private rooms can still be watched with their code
+  handleListLiveGames(socket) {
+    const games = [...this.activeGames.values()]
+      .filter(gameState => gameState.players.length === 2 && !gameState.isPrivate)
+      .map(gameState => ({
+        roomCode: gameState.roomCode,
+        players: gameState.players,
+        variant: gameState.variant,
+        betAmount: gameState.betAmount,
+        timeControl: gameState.timeControl,
+        spectators: this.io.sockets.adapter.rooms.get(spectatorRoom(gameState.roomCode))?.size || 0
+      }))
+      .sort((a, b) => b.betAmount - a.betAmount);
+
+    socket.emit('liveGames', games);
+  }
 
-    const isKing = piece === piece.toUpperCase();
-    const moveDistance = {
-      row: Math.abs(to.row - from.row),
-      col: Math.abs(to.col - from.col)
-    };
+  handleWatchGame(socket, { roomCode } = {}) {
+    const gameState = this.activeGames.get(roomCode);
 
-    if (moveDistance.row !== moveDistance.col) return false;
+    if (!gameState || gameState.players.length < 2) {
+      return socket.emit('error', { message: 'Game not found' });
+    }
 
-    if (moveDistance.row === 1) {
-      if (!isKing) {
-        const forward = playerColor === 'b' ? -1 : 1;
-        return (to.row - from.row) === forward;
-      }
-      return true;
+    if (this.isPlayerInGame(socket.user.id) || this.isPlayerInQueue(socket.user.id)) {
+      return socket.emit('error', { message: 'Cannot watch a game while playing or looking for one' });
     }
 
-    return this.isValidCapture(board, from, to, playerColor, isKing);
+    this.leaveSpectatorRoom(socket);
+    socket.data.watching = roomCode;
+    socket.join(spectatorRoom(roomCode));
+
+    socket.emit('gameState', {
+      ...gameState.spectatorView,
+      roomCode: gameState.roomCode,
+      players: gameState.players,
+      variant: gameState.variant,
+      boardSize: gameState.boardSize,
+      betAmount: gameState.betAmount,
+      timeControl: gameState.timeControl,
+      spectating: true,
+      delay: spectatorDelay(gameState)
+    });
   }
 
-  isValidCapture(board, from, to, playerColor, isKing) {
-    const captureRow = Math.floor((from.row + to.row) / 2);
-    const captureCol = Math.floor((from.col + to.col) / 2);
-    const capturedPiece = board[captureRow][captureCol];
-
-    if (!capturedPiece || capturedPiece.toLowerCase() === playerColor) return false;
+  handleStopWatching(socket) {
+    this.leaveSpectatorRoom(socket);
+    socket.emit('stoppedWatching');
+  }
 
-    if (isKing) {
-      const rowStep = Math.sign(to.row - from.row);
-      const colStep = Math.sign(to.col - from.col);
-      let row = from.row + rowStep;
-      let col = from.col + colStep;
-      let foundCapture = false;
+  leaveSpectatorRoom(socket) {
+    if (socket.data.watching) {
+      socket.leave(spectatorRoom(socket.data.watching));
+      delete socket.data.watching;
+    }
+  }
 
-      while (row !== to.row && col !== to.col) {
-        if (board[row][col] !== null) {
-          if (foundCapture) return false;
-          if (board[row][col].toLowerCase() === playerColor) return false;
-          foundCapture = true;
-        }
-        row += rowStep;
-        col += colStep;
-      }
+  handleOfferDraw(socket) {
+    const user = socket.user;
+    const gameState = this.findGameByPlayerId(user.id);
 
-      return foundCapture;
+    if (!gameState || gameState.players.length < 2) {
+      return socket.emit('error', { message: 'No active game' });
     }
 
-    return Math.abs(to.row - from.row) === 2;
-  }
-
-  findAllCaptures(board, playerColor) {
-    const captures = [];
-    
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = board[row][col];
-        if (piece && piece.toLowerCase() === playerColor) {
-          const pieceCaptures = this.findCapturesForPiece(board, row, col);
-          captures.push(...pieceCaptures);
-        }
-      }
+    if (gameState.drawOffer) {
+      return socket.emit('error', { message: 'A draw offer is already pending' });
     }
-    
-    return captures;
-  }
-
-  findCapturesForPiece(board, row, col) {
-    const piece = board[row][col];
-    if (!piece) return [];
-
-    const playerColor = piece.toLowerCase();
-    const isKing = piece === piece.toUpperCase();
-    const captures = [];
-
-    if (isKing) {
-      const directions = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
-      for (const [rowDir, colDir] of directions) {
-        let r = row + rowDir;
-        let c = col + colDir;
-        let foundOpponent = false;
-        let opponentPos = null;
-
-        while (r >= 0 && r < 8 && c >= 0 && c < 8) {
-          if (board[r][c] !== null) {
-            if (!foundOpponent && board[r][c].toLowerCase() !== playerColor) {
-              foundOpponent = true;
-              opponentPos = { row: r, col: c };
-            } else {
-              break;
-            }
-          } else if (foundOpponent) {
-            captures.push({
-              from: { row, col },
-              to: { row: r, col: c },
-              captured: opponentPos
-            });
-          }
-          r += rowDir;
-          c += colDir;
-        }
-      }
-    } else {
-      const directions = [[-2, -2], [-2, 2], [2, -2], [2, 2]];
-      for (const [rowDiff, colDiff] of directions) {
-        const newRow = row + rowDiff;
-        const newCol = col + colDiff;
-        
-        if (newRow >= 0 && newRow < 8 && newCol >= 0 && newCol < 8 && board[newRow][newCol] === null) {
-          const jumpRow = row + rowDiff/2;
-          const jumpCol = col + colDiff/2;
-          const jumpedPiece = board[jumpRow][jumpCol];
-          
-          if (jumpedPiece && jumpedPiece.toLowerCase() !== playerColor) {
-            captures.push({
-              from: { row, col },
-              to: { row: newRow, col: newCol },
-              captured: { row: jumpRow, col: jumpCol }
-            });
-          }
-        }
-      }
+
+    if (gameState.players.some(p => p.isBot)) {
+      return socket.emit('error', { message: 'The computer does not accept draw offers' });
     }
 
-    return captures;
+    gameState.drawOffer = user.id;
+    socket.to(gameState.roomCode).emit('drawOffered', { by: user.id });
   }
 
-  applyMove(gameState, from, to, playerColor) {
-    const { board } = gameState;
-    const piece = board[from.row][from.col];
-    const moveResult = {
-      isCapture: false,
-      capturedPiece: null
-    };
+  async handleAcceptDraw(socket) {
+    try {
+      const user = socket.user;
+      const gameState = this.findGameByPlayerId(user.id);
+
+      if (!gameState) {
+        return socket.emit('error', { message: 'No active game' });
+      }
 
-    board[to.row][to.col] = piece;
-    board[from.row][from.col] = null;
+      if (!gameState.drawOffer || gameState.drawOffer === user.id) {
+        return socket.emit('error', { message: 'No draw offer to accept' });
+      }
 
-    if (Math.abs(to.row - from.row) >= 2) {
-      const captureRow = Math.floor((from.row + to.row) / 2);
-      const captureCol = Math.floor((from.col + to.col) / 2);
-      moveResult.capturedPiece = board[captureRow][captureCol];
-      board[captureRow][captureCol] = null;
-      moveResult.isCapture = true;
+      await this.handleDraw(gameState, 'agreement');
+    } catch (error) {
+      socket.emit('error', { message: 'Error accepting draw' });
     }
+  }
 
-    const lastRow = playerColor === 'b' ? 0 : 7;
-    if (to.row === lastRow && piece === playerColor) {
-      board[to.row][to.col] = piece.toUpperCase();
+  handleDeclineDraw(socket) {
+    const user = socket.user;
+    const gameState = this.findGameByPlayerId(user.id);
+
+    if (!gameState || !gameState.drawOffer || gameState.drawOffer === user.id) {
+      return socket.emit('error', { message: 'No draw offer to decline' });
     }
 
-    return moveResult;
+    gameState.drawOffer = null;
+    socket.to(gameState.roomCode).emit('drawDeclined', { by: user.id });
   }
 
-  isGameOver(gameState) {
-    const nextPlayer = gameState.currentTurn;
-    const playerColor = gameState.players[0].id === nextPlayer ? 'b' : 'r';
+  // Takebacks are for casual play only: unstaked games and practice games
+  findTakebackGame(socket) {
+    const gameState = this.findGameByPlayerId(socket.user.id);
 
-    const hasPieces = gameState.board.some(row => 
-      row.some(cell => cell && cell.toLowerCase() === playerColor)
-    );
+    if (!gameState || gameState.players.length < 2) {
+      socket.emit('error', { message: 'No active game' });
+      return null;
+    }
 
-    if (!hasPieces) return true;
+    if (gameState.betAmount > 0 && !gameState.isPractice) {
+      socket.emit('error', { message: 'Takebacks are not allowed in staked games' });
+      return null;
+    }
 
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = gameState.board[row][col];
-        if (piece && piece.toLowerCase() === playerColor) {
-          if (this.findCapturesForPiece(gameState.board, row, col).length > 0) {
-            return false;
-          }
+    if (gameState.tournamentId) {
+      socket.emit('error', { message: 'Takebacks are not allowed in tournament games' });
+      return null;
+    }
 
-          const isKing = piece === piece.toUpperCase();
-          const directions = isKing ? [-1, 1] : [playerColor === 'b' ? -1 : 1];
-          
-          for (const rowDir of directions) {
-            for (const colDir of [-1, 1]) {
-              const newRow = row + rowDir;
-              const newCol = col + colDir;
-              
-              if (newRow >= 0 && newRow < 8 && newCol >= 0 && newCol < 8 && 
-                  gameState.board[newRow][newCol] === null) {
-                return false;
-              }
-            }
-          }
-        }
-      }
+    if (Object.keys(gameState.disconnectedPlayers).length > 0) {
+      socket.emit('error', { message: 'Game is paused while a player reconnects' });
+      return null;
     }
 
-    return true;
+    return gameState;
   }
 
-  // Helper methods
-  async createMatch(player1, player2, betAmount) {
+  // The computer always agrees; a human opponent has to accept
+  async handleRequestTakeback(socket) {
     try {
-      const match = new GameMatch({
-        players: [
-          { user: player1.id },
-          { user: player2.id }
-        ],
-        betAmount,
-        status: 'active',
-        startTime: new Date()
-      });
-      await match.save();
+      const user = socket.user;
+      const gameState = this.findTakebackGame(socket);
+      if (!gameState) return;
 
-      await Promise.all([
-        this.deductBet(player1.id, betAmount),
-        this.deductBet(player2.id, betAmount)
-      ]);
+      if (!gameState.moveHistory.some(entry => entry.playerId === user.id)) {
+        return socket.emit('error', { message: 'No move to take back' });
+      }
 
-      const gameState = this.createGameState({
-        matchId: match._id,
-        roomCode: match._id.toString(),
-        betAmount,
-        players: [player1, player2]
+      if (gameState.takebackRequest) {
+        return socket.emit('error', { message: 'A takeback request is already pending' });
+      }
+
+      if (gameState.players.some(p => p.isBot)) {
+        await this.takeBackMove(gameState, user.id);
+        return;
+      }
+
+      gameState.takebackRequest = user.id;
+      socket.to(gameState.roomCode).emit('takebackRequested', { by: user.id });
+    } catch (error) {
+      socket.emit('error', { message: 'Error requesting takeback' });
+    }
+  }
+
+  async handleAcceptTakeback(socket) {
+    try {
+      const gameState = this.findTakebackGame(socket);
+      if (!gameState) return;
+
+      if (!gameState.takebackRequest || gameState.takebackRequest === socket.user.id) {
+        return socket.emit('error', { message: 'No takeback request to accept' });
+      }
+
+      await this.takeBackMove(gameState, gameState.takebackRequest);
+    } catch (error) {
+      socket.emit('error', { message: 'Error accepting takeback' });
+    }
+  }
+
+  handleDeclineTakeback(socket) {
+    const user = socket.user;
+    const gameState = this.findGameByPlayerId(user.id);
+
+    if (!gameState || !gameState.takebackRequest || gameState.takebackRequest === user.id) {
+      return socket.emit('error', { message: 'No takeback request to decline' });
+    }
+
+    gameState.takebackRequest = null;
+    socket.to(gameState.roomCode).emit('takebackDeclined', { by: user.id });
+  }
+
+  // Undoes the last move of `playerId`, a whole capture sequence being a single move, along
+  // with the reply played after it if any, so that player is on move again. Time already
+  // used stays used.
+  async takeBackMove(gameState, playerId) {
+    const index = gameState.moveHistory.map(entry => entry.playerId).lastIndexOf(playerId);
+    const undone = gameState.moveHistory.length - index;
+    const restored = gameState.moveHistory[index];
+
+    this.pauseClock(gameState);
+    gameState.moveHistory = gameState.moveHistory.slice(0, index);
+    gameState.board = restored.board;
+    gameState.currentTurn = restored.currentTurn;
+    gameState.lastMove = restored.lastMove;
+    gameState.positionCounts = restored.positionCounts;
+    gameState.kingOnlyMoves = restored.kingOnlyMoves;
+    gameState.gameStats = rules.calculateGameStats(gameState.board);
+    gameState.takebackRequest = null;
+    gameState.drawOffer = null;
+    this.startClock(gameState);
+
+    await this.withMatchWrites(gameState, async () => {
+      const match = await GameMatch.findById(gameState.matchId);
+      match.moves.splice(match.moves.length - undone, undone);
+      match.snapshot = snapshotOf(gameState);
+      await match.save();
+    });
+
+    const takebackApplied = {
+      by: playerId,
+      plies: undone,
+      board: gameState.board,
+      currentTurn: gameState.currentTurn,
+      lastMove: gameState.lastMove,
+      gameStats: gameState.gameStats,
+      clocks: { ...gameState.clocks }
+    };
+
+    this.io.to(gameState.roomCode).emit('takebackApplied', takebackApplied);
+    this.publishToSpectators(gameState, 'takebackApplied', takebackApplied, this.createSpectatorView(gameState));
+  }
+
+  // Both players of a finished game stay in its room for a short while, during which
+  // either of them can offer to play again
+  openRematchWindow(gameState) {
+    if (gameState.isPractice || gameState.tournamentId || gameState.players.length < 2) return;
+
+    // Only the most recent game of each player can be rematched
+    for (const previous of [...this.rematchWindows.values()]) {
+      if (previous.players.some(p => gameState.players.some(player => player.id === p.id))) {
+        this.closeRematchWindow(previous);
+      }
+    }
+
+    const rematch = {
+      roomCode: gameState.roomCode,
+      players: gameState.players,
+      betAmount: gameState.betAmount,
+      variant: gameState.variant,
+      timeControl: gameState.timeControl,
+      isPrivate: gameState.isPrivate,
+      offeredBy: null,
+      expiresAt: Date.now() + REMATCH_WINDOW
+    };
+
+    rematch.timer = setTimeout(() => {
+      if (this.rematchWindows.get(gameState.roomCode) === rematch) {
+        this.rematchWindows.delete(gameState.roomCode);
+        this.io.to(gameState.roomCode).emit('rematchExpired');
+      }
+    }, REMATCH_WINDOW);
+
+    this.rematchWindows.set(gameState.roomCode, rematch);
+  }
+
+  findRematchWindow(userId) {
+    for (const rematch of this.rematchWindows.values()) {
+      if (rematch.players.some(p => p.id === userId)) return rematch;
+    }
+    return null;
+  }
+
+  closeRematchWindow(rematch) {
+    clearTimeout(rematch.timer);
+    this.rematchWindows.delete(rematch.roomCode);
+  }
+
+  async handleOfferRematch(socket) {
+    const user = socket.user;
+    const rematch = this.findRematchWindow(user.id);
+
+    if (!rematch) {
+      return socket.emit('error', { message: 'No rematch available' });
+    }
+
+    // Offering back counts as accepting
+    if (rematch.offeredBy && rematch.offeredBy !== user.id) {
+      return this.handleAcceptRematch(socket);
+    }
+
+    rematch.offeredBy = user.id;
+    socket.to(rematch.roomCode).emit('rematchOffered', {
+      by: user.id,
+      betAmount: rematch.betAmount,
+      expiresAt: rematch.expiresAt
+    });
+  }
+
+  // Starts a new match with the same settings and the colours swapped. Balances are read
+  // again because the previous game has moved money around.
+  async handleAcceptRematch(socket) {
+    try {
+      const user = socket.user;
+      const rematch = this.findRematchWindow(user.id);
+
+      if (!rematch || !rematch.offeredBy || rematch.offeredBy === user.id) {
+        return socket.emit('error', { message: 'No rematch offer to accept' });
+      }
+
+      if (this.draining) {
+        return socket.emit('error', { message: 'Server is under maintenance' });
+      }
+
+      this.closeRematchWindow(rematch);
+
+      const [first, second] = rematch.players;
+      const busy = rematch.players.some(p => this.isPlayerInQueue(p.id) || this.isPlayerInGame(p.id));
+      const users = await User.find({ _id: { $in: [first.id, second.id] } });
+      const canAfford = users.length === 2 && users.every(u => u.balance >= rematch.betAmount);
+
+      if (busy || !canAfford) {
+        return this.io.to(rematch.roomCode).emit('rematchCancelled', {
+          message: busy ? 'A player has already started another game' : 'Insufficient balance for the rematch'
+        });
+      }
+
+      await this.createMatch(second, first, {
+        betAmount: rematch.betAmount,
+        variant: rematch.variant,
+        timeControl: rematch.timeControl,
+        isPrivate: rematch.isPrivate
       });
+    } catch (error) {
+      socket.emit('error', { message: 'Error starting rematch' });
+    }
+  }
+
+  handleDeclineRematch(socket) {
+    const rematch = this.findRematchWindow(socket.user.id);
+    if (!rematch) return;
+
+    this.closeRematchWindow(rematch);
+    socket.to(rematch.roomCode).emit('rematchDeclined', { by: socket.user.id });
+  }
+
+  handleDisconnect(socket) {
+    const userId = socket.user.id;
+
+    // A newer socket for the same user has already taken over
+    if (this.playerSockets.get(userId) !== socket.id) return;
+
+    this.removePlayerFromQueue(userId);
+    
+    const gameState = this.findGameByPlayerId(userId);
+    if (gameState && gameState.players.length < 2) {
+      this.handlePlayerDisconnect(gameState, userId);
+    } else if (gameState) {
+      this.pauseForReconnect(gameState, userId);
+    }
+
+    this.playerSockets.delete(userId);
+    this.announcePresence(socket.user, 'friendOffline');
+  }
+
+  // Tells the online friends of `user` about a change in their presence
+  async announcePresence(user, event, details = {}) {
+    try {
+      const friendIds = await friends.getFriendIds(user.id);
+
+      for (const friendId of friendIds) {
+        const socketId = this.playerSockets.get(friendId);
+        if (socketId) {
+          this.io.to(socketId).emit(event, { userId: user.id, username: user.username, ...details });
+        }
+      }
+    } catch (error) {
+      console.error('Error announcing presence:', error);
+    }
+  }
+
+  // Which friends are online, and in which game, for a player who has just connected
+  async sendFriendsPresence(socket) {
+    try {
+      const friendIds = await friends.getFriendIds(socket.user.id);
+
+      socket.emit('friendsPresence', friendIds
+        .filter(friendId => this.playerSockets.has(friendId))
+        .map(friendId => {
+          const gameState = this.findGameByPlayerId(friendId);
+          return {
+            userId: friendId,
+            inGame: Boolean(gameState && gameState.players.length === 2),
+            roomCode: gameState?.players.length === 2 ? gameState.roomCode : null
+          };
+        }));
+    } catch (error) {
+      console.error('Error sending friends presence:', error);
+    }
+  }
+
+  // Players of a game that has just ended are available again
+  announceGameEnded(gameState) {
+    for (const player of gameState.players) {
+      if (!player.isBot && this.playerSockets.has(player.id)) {
+        this.announcePresence(player, 'friendOnline');
+      }
+    }
+  }
+
+  // The game is frozen, clocks included, until the player is back or the grace period runs out
+  pauseForReconnect(gameState, userId) {
+    if (Object.keys(gameState.disconnectedPlayers).length === 0) {
+      this.pauseClock(gameState);
+    }
+
+    const deadline = Date.now() + RECONNECT_GRACE_PERIOD;
+    gameState.disconnectedPlayers[userId] = deadline;
+
+    this.disconnectTimers.set(userId, setTimeout(() => {
+      this.disconnectTimers.delete(userId);
+      const currentGame = this.findGameByPlayerId(userId);
+      if (currentGame && currentGame.disconnectedPlayers[userId]) {
+        this.handlePlayerDisconnect(currentGame, userId);
+      }
+    }, RECONNECT_GRACE_PERIOD));
+
+    this.io.to(gameState.roomCode).emit('opponentDisconnected', {
+      playerId: userId,
+      gracePeriod: RECONNECT_GRACE_PERIOD,
+      deadline
+    });
+  }
+
+  // A user connecting while in a game is put back in the room with the full state
+  handleReconnect(socket) {
+    const userId = socket.user.id;
+    const gameState = this.findGameByPlayerId(userId);
+    if (!gameState) return;
+
+    socket.join(gameState.roomCode);
+
+    if (gameState.disconnectedPlayers[userId]) {
+      clearTimeout(this.disconnectTimers.get(userId));
+      this.disconnectTimers.delete(userId);
+      delete gameState.disconnectedPlayers[userId];
+
+      if (Object.keys(gameState.disconnectedPlayers).length === 0) {
+        this.startClock(gameState);
+        this.scheduleBotMove(gameState);
+      }
+
+      socket.to(gameState.roomCode).emit('opponentReconnected', { playerId: userId });
+    }
+
+    this.emitGameState(socket, gameState);
+  }
+
+  createGameState({ roomCode, matchId = null, tournamentId = null, isPrivate = false, isPractice = false, botDifficulty = null, betAmount = 0, variant = rules.DEFAULT_VARIANT, timeControl = DEFAULT_TIME_CONTROL, creator = null, players = [] }) {
+    const board = rules.createInitialBoard(rules.getVariant(variant));
+    const positionCounts = { [rules.getPositionKey(board, 'b')]: 1 };
+
+    return {
+      roomCode,
+      matchId,
+      tournamentId,
+      isPrivate,
+      isPractice,
+      botDifficulty,
+      betAmount,
+      variant,
+      boardSize: board.length,
+      timeControl,
+      creator: creator?.id,
+      players: players.map(p => ({
+        id: p.id,
+        username: p.username,
+        isBot: Boolean(p.isBot)
+      })),
+      board,
+      spectatorView: null,
+      currentTurn: null,
+      clocks: {},
+      turnStartedAt: null,
+      disconnectedPlayers: {},
+      moveHistory: [],
+      lastMove: null,
+      positionCounts,
+      kingOnlyMoves: 0,
+      drawOffer: null,
+      takebackRequest: null,
+      chatMuted: {},
+      gameStats: rules.calculateGameStats(board)
+    };
+  }
+
+  // A move is the full list of squares the piece visits: [from, via1, ..., to].
+  // A plain { from, to } is accepted for steps and single captures.
+  async handleGameMove(socket, { path, from, to }) {
+    try {
+      const user = socket.user;
+      const gameState = this.findGameByPlayerId(user.id);
+
+      if (!gameState) {
+        return socket.emit('error', { message: 'No active game' });
+      }
+
+      const playerIndex = gameState.players.findIndex(p => p.id === user.id);
+      const playerColor = playerIndex === 0 ? 'b' : 'r';
+
+      if (gameState.currentTurn !== user.id) {
+        return socket.emit('error', { message: 'Not your turn' });
+      }
+
+      if (Object.keys(gameState.disconnectedPlayers).length > 0) {
+        return socket.emit('error', { message: 'Game is paused while a player reconnects' });
+      }
 
-      this.activeGames.set(gameState.roomCode, gameState);
+      if (this.getRemainingTime(gameState, user.id) <= 0) {
+        return this.handleFlagFall(gameState.roomCode);
+      }
+
+      const squares = path || [from, to];
+      const isWellFormed = Array.isArray(squares) && squares.length >= 2 &&
+        squares.every(square => square && Number.isInteger(square.row) && Number.isInteger(square.col));
 
-      const player1Socket = this.io.sockets.sockets.get(this.playerSockets.get(player1.id));
-      const player2Socket = this.io.sockets.sockets.get(this.playerSockets.get(player2.id));
+      if (!isWellFormed) {
+        return socket.emit('error', { message: 'Invalid move' });
+      }
 
-      player1Socket?.join(gameState.roomCode);
-      player2Socket?.join(gameState.roomCode);
+      const variant = rules.getVariant(gameState.variant);
+      const legalMoves = rules.findLegalMoves(gameState.board, playerColor, variant);
+      const move = rules.findMoveByPath(legalMoves, squares);
 
-      this.startGame(gameState);
+      if (!move) {
+        if (legalMoves.some(legalMove => legalMove.captured.length > 0)) {
+          return socket.emit('error', { message: 'Capture move is mandatory and must take the most pieces available' });
+        }
+        return socket.emit('error', { message: 'Invalid move' });
+      }
+
+      await this.applyGameMove(gameState, user.id, move);
+    } catch (error) {
+      socket.emit('error', { message: 'Error processing move' });
+    }
+  }
+
+  // Plays an already validated move for `playerId`, persists and broadcasts it, then checks
+  // whether the game is over
+  async applyGameMove(gameState, playerId, move) {
+    const variant = rules.getVariant(gameState.variant);
+    const player = gameState.players.find(p => p.id === playerId);
+    const playerColor = gameState.players[0].id === playerId ? 'b' : 'r';
+
+    // What the position was before this move, so a takeback can restore it exactly
+    gameState.moveHistory.push({
+      playerId,
+      board: gameState.board.map(row => [...row]),
+      currentTurn: gameState.currentTurn,
+      lastMove: gameState.lastMove,
+      positionCounts: { ...gameState.positionCounts },
+      kingOnlyMoves: gameState.kingOnlyMoves
+    });
+
+    this.pressClock(gameState);
+    const moveResult = rules.applyMove(gameState.board, move);
+    const nextColor = playerColor === 'b' ? 'r' : 'b';
+    gameState.gameStats = rules.calculateGameStats(gameState.board);
+    gameState.lastMove = {
+      playerId,
+      path: move.path,
+      captured: move.captured
+    };
+    gameState.drawOffer = null;
+    gameState.takebackRequest = null;
+
+    const drawReason = recordDrawProgress(gameState, move, moveResult.isCapture, nextColor);
+
+    gameState.currentTurn = gameState.players.find(p => p.id !== playerId).id;
+    this.startClock(gameState);
+
+    await this.withMatchWrites(gameState, () => GameMatch.findByIdAndUpdate(gameState.matchId, {
+      $push: {
+        moves: {
+          from: move.from,
+          to: move.to,
+          path: move.path,
+          captured: move.captured,
+          player: player.isBot ? undefined : playerId
+        }
+      },
+      $set: { snapshot: snapshotOf(gameState) }
+    }));
+
+    // The game may have ended on time while the move was being saved
+    if (gameState.finished) return;
+
+    const moveApplied = {
+      boardSize: gameState.boardSize,
+      from: move.from,
+      to: move.to,
+      path: move.path,
+      player: playerId,
+      gameStats: gameState.gameStats,
+      capturedPieces: moveResult.capturedPieces,
+      promoted: moveResult.promoted,
+      clocks: { ...gameState.clocks }
+    };
+    const turnChanged = {
+      currentTurn: gameState.currentTurn,
+      clocks: { ...gameState.clocks }
+    };
+
+    this.io.to(gameState.roomCode).emit('moveApplied', moveApplied);
+    this.io.to(gameState.roomCode).emit('turnChanged', turnChanged);
+
+    this.publishToSpectators(gameState, 'moveApplied', moveApplied, this.createSpectatorView(gameState));
+    this.publishToSpectators(gameState, 'turnChanged', turnChanged);
+
+    if (rules.isGameOver(gameState.board, nextColor, variant)) {
+      await this.handleGameOver(gameState);
+    } else if (drawReason) {
+      await this.handleDraw(gameState, drawReason);
+    } else {
+      this.scheduleBotMove(gameState);
+    }
+  }
+
+  // Lets the computer reply when it is its turn and the game is not paused
+  scheduleBotMove(gameState) {
+    const bot = gameState.players.find(p => p.isBot && p.id === gameState.currentTurn);
+    if (!bot) return;
+
+    const isStillOnMove = () => this.activeGames.get(gameState.roomCode) === gameState &&
+      gameState.currentTurn === bot.id &&
+      Object.keys(gameState.disconnectedPlayers).length === 0;
+
+    setTimeout(async () => {
+      if (!isStillOnMove()) return;
+
+      try {
+        const variant = rules.getVariant(gameState.variant);
+        const botColor = gameState.players[0].id === bot.id ? 'b' : 'r';
+        const board = gameState.board;
+        const move = await engineWorker.chooseMove(board, botColor, variant, gameState.botDifficulty);
+
+        // The game may have ended, been paused or taken back while the computer was thinking
+        if (!isStillOnMove() || gameState.board !== board) return;
+        await this.applyGameMove(gameState, bot.id, move);
+      } catch (error) {
+        console.error('Error playing bot move:', error);
+      }
+    }, BOT_MOVE_DELAY);
+  }
+
+  // Helper methods
+  async createMatch(player1, player2, { betAmount, variant = rules.DEFAULT_VARIANT, timeControl = DEFAULT_TIME_CONTROL, isPrivate = false, tournamentId = null, tournamentRound = null }) {
+    try {
+      // Both count as busy from here, though the game is only listed once it is set up
+      return await this.whilePending([player1.id, player2.id], async () => {
+        const match = new GameMatch({
+          players: [
+            { user: player1.id },
+            { user: player2.id }
+          ],
+          betAmount,
+          isPrivate,
+          variant,
+          boardSize: rules.getVariant(variant).boardSize,
+          timeControl,
+          tournament: tournamentId,
+          tournamentRound,
+          status: 'active',
+          startTime: new Date()
+        });
+        await match.save();
+
+        const paid = await Promise.all([
+          this.deductBet(player1.id, betAmount, match._id),
+          this.deductBet(player2.id, betAmount, match._id)
+        ]);
+
+        // A balance spent since the players were paired: whoever did pay gets it back
+        if (paid.includes(false)) {
+          await Promise.all([player1, player2]
+            .filter((player, index) => paid[index])
+            .map(player => this.refundBet(player.id, betAmount, match._id, 'Match not started - bet refunded')));
+
+          match.status = 'cancelled';
+          match.endTime = new Date();
+          await match.save();
+          throw new Error('Insufficient balance');
+        }
+
+        const gameState = this.createGameState({
+          matchId: match._id,
+          roomCode: match._id.toString(),
+          tournamentId,
+          isPrivate,
+          betAmount,
+          variant,
+          timeControl,
+          players: [player1, player2]
+        });
+
+        this.activeGames.set(gameState.roomCode, gameState);
+
+        const player1Socket = this.io.sockets.sockets.get(this.playerSockets.get(player1.id));
+        const player2Socket = this.io.sockets.sockets.get(this.playerSockets.get(player2.id));
+
+        player1Socket?.join(gameState.roomCode);
+        player2Socket?.join(gameState.roomCode);
+
+        await this.startGame(gameState);
+        return gameState;
+      });
     } catch (error) {
       console.error('Error creating match:', error);
       throw error;
     }
   }
 
-  async deductBet(userId, amount) {
-    const user = await User.findById(userId);
-    user.balance -= amount;
-    await user.save();
+  async addPlayerToGame(gameState, user) {
+    gameState.players.push({
+      id: user.id,
+      username: user.username
+    });
+  }
+
+  // The first player has the black pieces and moves first
+  async startGame(gameState) {
+    const humans = gameState.players.filter(p => !p.isBot);
+    const users = await User.find({ _id: { $in: humans.map(p => p.id) } }).select('ratings');
+    for (const player of gameState.players) {
+      const user = users.find(u => u.id === player.id);
+      player.rating = user ? rating.describe(user.ratings[gameState.variant]) : null;
+    }
+
+    const { initial } = parseTimeControl(gameState.timeControl);
+    gameState.clocks = Object.fromEntries(gameState.players.map(p => [p.id, initial]));
+    gameState.currentTurn = gameState.players[0].id;
+    gameState.spectatorView = this.createSpectatorView(gameState);
+    this.startClock(gameState);
+    this.saveSnapshot(gameState);
+
+    for (const player of humans) {
+      // A player paired while watching another game stops watching it
+      const socket = this.io.sockets.sockets.get(this.playerSockets.get(player.id));
+      if (socket) this.leaveSpectatorRoom(socket);
+
+      this.announcePresence(player, 'friendInGame', { roomCode: gameState.roomCode });
+    }
+
+    this.io.to(gameState.roomCode).emit('gameStarted', {
+      roomCode: gameState.roomCode,
+      matchId: gameState.matchId,
+      tournamentId: gameState.tournamentId,
+      variant: gameState.variant,
+      boardSize: gameState.boardSize,
+      betAmount: gameState.betAmount,
+      players: gameState.players,
+      board: gameState.board,
+      currentTurn: gameState.currentTurn,
+      timeControl: gameState.timeControl,
+      clocks: gameState.clocks,
+      gameStats: gameState.gameStats,
+      quickPhrases: chat.QUICK_PHRASES
+    });
+
+    this.scheduleBotMove(gameState);
+  }
+
+  // What spectators are shown; with a broadcast delay it trails the real game
+  createSpectatorView(gameState) {
+    return {
+      board: gameState.board.map(row => [...row]),
+      currentTurn: gameState.currentTurn,
+      lastMove: gameState.lastMove,
+      gameStats: gameState.gameStats,
+      clocks: { ...gameState.clocks }
+    };
+  }
+
+  // Spectators sit in their own room so staked games can reach them late. `view` replaces
+  // the state shown to newly arriving spectators once the event has gone out.
+  publishToSpectators(gameState, event, payload, view = null) {
+    const publish = () => {
+      if (view) gameState.spectatorView = view;
+      this.io.to(spectatorRoom(gameState.roomCode)).emit(event, payload);
+    };
+
+    const delay = spectatorDelay(gameState);
+    if (delay > 0) {
+      setTimeout(publish, delay);
+    } else {
+      publish();
+    }
+  }
+
+  // Stores the in-memory state on the match so the game can be resumed after a restart
+  async saveSnapshot(gameState) {
+    if (!gameState.matchId) return;
+
+    try {
+      await this.withMatchWrites(gameState, () =>
+        GameMatch.findByIdAndUpdate(gameState.matchId, { $set: { snapshot: snapshotOf(gameState) } }));
+    } catch (error) {
+      console.error('Error saving game snapshot:', error);
+    }
+  }
+
+  // Reloads the games that were running when the server stopped. Nobody is connected yet,
+  // so every player starts out disconnected with a fresh grace period to come back.
+  async restoreActiveGames() {
+    try {
+      // Hosts of rooms still waiting for a guest lost their room with the restart
+      const waitingRooms = await GameMatch.find({ status: 'waiting' });
+      for (const match of waitingRooms) {
+        match.status = 'cancelled';
+        match.endTime = new Date();
+        await match.save();
+
+        if (match.betAmount > 0) {
+          await this.refundBet(match.players[0].user, match.betAmount, match._id, 'Private room closed - bet refunded');
+        }
+      }
+
+      const matches = await GameMatch.find({ status: 'active', snapshot: { $exists: true } });
+
+      for (const match of matches) {
+        // Older snapshots hold plain boards, which unpack unchanged
+        const gameState = {
+          chatMuted: {},
+          ...match.snapshot,
+          moveHistory: match.snapshot.moveHistory.map(entry => ({ ...entry, board: unpackBoard(entry.board) })),
+          matchId: match._id,
+          turnStartedAt: null,
+          disconnectedPlayers: {}
+        };
+        gameState.gameStats = rules.calculateGameStats(gameState.board);
+        gameState.spectatorView = this.createSpectatorView(gameState);
+
+        const humans = gameState.players.filter(p => !p.isBot);
+
+        this.activeGames.set(gameState.roomCode, gameState);
+        for (const player of humans) {
+          this.pauseForReconnect(gameState, player.id);
+        }
+
+        // Players who connected before the games were loaded are picked up straight away
+        for (const player of humans) {
+          const socket = this.io.sockets.sockets.get(this.playerSockets.get(player.id));
+          if (socket) this.handleReconnect(socket);
+        }
+      }
+
+      console.log(`Restored ${matches.length} active games`);
+    } catch (error) {
+      console.error('Error restoring active games:', error);
+    }
+  }
+
+  // Clocks hold each player's remaining milliseconds as of the start of the current turn;
+  // the player on move is timed from turnStartedAt
+  startClock(gameState) {
+    gameState.turnStartedAt = Date.now();
+
+    clearTimeout(this.clockTimers.get(gameState.roomCode));
+    this.clockTimers.set(gameState.roomCode, setTimeout(
+      () => this.handleFlagFall(gameState.roomCode),
+      gameState.clocks[gameState.currentTurn]
+    ));
+  }
+
+  // Charges the player on move for the time used and credits the increment
+  pressClock(gameState) {
+    const { increment } = parseTimeControl(gameState.timeControl);
+    gameState.clocks[gameState.currentTurn] = this.getRemainingTime(gameState, gameState.currentTurn) + increment;
+  }
+
+  pauseClock(gameState) {
+    gameState.clocks[gameState.currentTurn] = this.getRemainingTime(gameState, gameState.currentTurn);
+    gameState.turnStartedAt = null;
+    this.stopClock(gameState);
+  }
+
+  stopClock(gameState) {
+    clearTimeout(this.clockTimers.get(gameState.roomCode));
+    this.clockTimers.delete(gameState.roomCode);
+  }
+
+  getRemainingTime(gameState, playerId) {
+    const remaining = gameState.clocks[playerId];
+    if (playerId !== gameState.currentTurn || !gameState.turnStartedAt) return remaining;
+    return Math.max(0, remaining - (Date.now() - gameState.turnStartedAt));
+  }
+
+  async handleFlagFall(roomCode) {
+    const gameState = this.activeGames.get(roomCode);
+    if (!gameState) return;
+
+    try {
+      gameState.clocks[gameState.currentTurn] = 0;
+      const winner = gameState.players.find(p => p.id !== gameState.currentTurn);
+      await this.handleGameOver(gameState, winner.id, 'timeout');
+    } catch (error) {
+      console.error('Error handling flag fall:', error);
+    }
+  }
+
+  // Takes a game out of play before it is settled, so a second result arriving while the
+  // first is still being saved (a late move after a flag fall, a repeated draw acceptance)
+  // is ignored. Returns false if the game had already ended.
+  finishGame(gameState) {
+    if (gameState.finished) return false;
+
+    gameState.finished = true;
+    this.stopClock(gameState);
+    for (const userId of Object.keys(gameState.disconnectedPlayers)) {
+      clearTimeout(this.disconnectTimers.get(userId));
+      this.disconnectTimers.delete(userId);
+    }
+    if (this.activeGames.get(gameState.roomCode) === gameState) {
+      this.activeGames.delete(gameState.roomCode);
+    }
+    return true;
+  }
+
+  // The game ends when the side to move is stuck, so the other side wins
+  determineWinner(gameState) {
+    return gameState.players.find(p => p.id !== gameState.currentTurn).id;
+  }
+
+  // Takes the stake in a single conditional update, so a balance that no longer covers it
+  // is never taken below zero. Returns false when the stake could not be taken.
+  async deductBet(userId, amount, matchId) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, ...(amount > 0 && { balance: { $gte: amount } }) },
+      { $inc: { balance: -amount } },
+      { new: true }
+    );
+    if (!user) return false;
 
     await Transaction.create({
       user: userId,
       type: 'bet',
       amount: -amount,
       description: 'Game bet placed',
+      relatedMatch: matchId,
       balanceAfter: user.balance
     });
+    return true;
   }
 
-  async handleGameOver(gameState, forcedWinnerId = null) {
+  async handleGameOver(gameState, forcedWinnerId = null, reason = null) {
+    if (!this.finishGame(gameState)) return;
+
     try {
       const match = await GameMatch.findById(gameState.matchId);
       const winner = forcedWinnerId || this.determineWinner(gameState);
-      const totalPrize = gameState.betAmount * 2;
+      const pot = gameState.betAmount * 2;
+      const fee = gameState.isPractice ? 0 : calculateRake(pot);
+      const totalPrize = pot - fee;
+
+      // A practice game won by the computer is recorded without a winner
+      const winnerIsBot = gameState.players.some(p => p.isBot && p.id === winner);
 
       match.status = 'completed';
-      match.winner = winner;
+      match.result = 'win';
+      match.winner = winnerIsBot ? undefined : winner;
+      match.commission = fee;
       match.endTime = new Date();
+      match.snapshot = undefined;
       await match.save();
 
-      const winnerUser = await User.findById(winner);
-      winnerUser.stats.wins += 1;
-      winnerUser.balance += totalPrize;
-      winnerUser.totalWinnings += totalPrize;
-      await winnerUser.save();
-
-      const loser = gameState.players.find(p => p.id !== winner);
-      const loserUser = await User.findById(loser.id);
-      loserUser.stats.losses += 1;
-      await loserUser.save();
-
-      await Transaction.create({
-        user: winner,
-        type: 'win',
-        amount: totalPrize,
-        description: 'Game won',
-        relatedMatch: match._id,
-        balanceAfter: winnerUser.balance
-      });
+      // Practice games leave stats, balances, transactions and ratings alone
+      let ratingChanges = null;
+      if (!gameState.isPractice) {
+        // Increments, since both players are free to start spending again already
+        const winnerUser = await User.findByIdAndUpdate(
+          winner,
+          { $inc: { balance: totalPrize, totalWinnings: totalPrize, 'stats.wins': 1 } },
+          { new: true }
+        );
+
+        const loser = gameState.players.find(p => p.id !== winner);
+        await User.findByIdAndUpdate(loser.id, { $inc: { 'stats.losses': 1 } });
+
+        await Transaction.create({
+          user: winner,
+          type: 'win',
+          amount: totalPrize,
+          description: 'Game won',
+          relatedMatch: match._id,
+          balanceAfter: winnerUser.balance
+        });
 
-      this.io.to(gameState.roomCode).emit('gameOver', {
-        winner,
-        prize: totalPrize
-      });
+        // The winner has been paid by now, so a failure here must not hold back the result
+        if (fee > 0) {
+          await this.collectCommission(fee, match._id)
+            .catch(error => console.error('Error collecting commission:', error));
+        }
 
-      this.activeGames.delete(gameState.roomCode);
+        ratingChanges = await this.updateRatings(gameState, match._id, winner);
+      }
+
+      const gameOver = {
+        winner,
+        result: 'win',
+        reason,
+        pot,
+        fee,
+        prize: totalPrize,
+        ratings: ratingChanges,
+        clocks: gameState.clocks
+      };
+      this.io.to(gameState.roomCode).emit('gameOver', gameOver);
+      this.publishToSpectators(gameState, 'gameOver', gameOver);
+
+      this.announceGameEnded(gameState);
+      this.openRematchWindow(gameState);
+
+      if (gameState.tournamentId) {
+        await this.recordTournamentResult(gameState, winner);
+      }
     } catch (error) {
       console.error('Error handling game over:', error);
       throw error;
     }
   }
 
+  // Ends the game without a winner: stats are left untouched and both stakes go back
+  async handleDraw(gameState, reason) {
+    if (!this.finishGame(gameState)) return;
+
+    try {
+      const match = await GameMatch.findById(gameState.matchId);
+
+      match.status = 'completed';
+      match.result = 'draw';
+      match.drawReason = reason;
+      match.endTime = new Date();
+      match.snapshot = undefined;
+      await match.save();
+
+      if (gameState.betAmount > 0) {
+        await Promise.all(gameState.players.map(p =>
+          this.refundBet(p.id, gameState.betAmount, match._id, 'Game drawn - bet refunded')
+        ));
+      }
+
+      const ratingChanges = gameState.isPractice ? null : await this.updateRatings(gameState, match._id, null);
+
+      const gameOver = {
+        winner: null,
+        result: 'draw',
+        reason,
+        refund: gameState.betAmount,
+        ratings: ratingChanges
+      };
+      this.io.to(gameState.roomCode).emit('gameOver', gameOver);
+      this.publishToSpectators(gameState, 'gameOver', gameOver);
+
+      this.announceGameEnded(gameState);
+      this.openRematchWindow(gameState);
+
+      if (gameState.tournamentId) {
+        await this.recordTournamentResult(gameState, null);
+      }
+    } catch (error) {
+      console.error('Error handling draw:', error);
+      throw error;
+    }
+  }
+
+  // Calls the game off: no result, both stakes go back
+  async handleGameCancelled(gameState, reason) {
+    if (!this.finishGame(gameState)) return;
+
+    try {
+      if (gameState.matchId) {
+        const match = await GameMatch.findById(gameState.matchId);
+
+        match.status = 'cancelled';
+        match.endTime = new Date();
+        match.snapshot = undefined;
+        await match.save();
+
+        if (gameState.betAmount > 0) {
+          await Promise.all(gameState.players.map(p =>
+            this.refundBet(p.id, gameState.betAmount, match._id, 'Game cancelled - bet refunded')
+          ));
+        }
+      }
+
+      const gameOver = {
+        winner: null,
+        result: 'cancelled',
+        reason,
+        refund: gameState.betAmount
+      };
+      this.io.to(gameState.roomCode).emit('gameOver', gameOver);
+      this.publishToSpectators(gameState, 'gameOver', gameOver);
+
+      this.announceGameEnded(gameState);
+
+      // A cancelled tournament game is played again
+      if (gameState.tournamentId) {
+        await this.recordTournamentResult(gameState, null, { cancelled: true });
+      }
+    } catch (error) {
+      console.error('Error cancelling game:', error);
+      throw error;
+    }
+  }
+
+  // Runs the writes of a game's moves, takebacks and snapshots one after the other, so a
+  // takeback only removes moves once they are saved. A failed write is the caller's to
+  // handle and does not hold up the next one.
+  withMatchWrites(gameState, task) {
+    const key = gameState.roomCode;
+    const next = (this.matchWrites.get(key) || Promise.resolve()).then(task);
+    const settled = next.catch(() => {});
+
+    this.matchWrites.set(key, settled);
+    settled.then(() => {
+      if (this.matchWrites.get(key) === settled) this.matchWrites.delete(key);
+    });
+    return next;
+  }
+
+  // Runs updates to one tournament one after the other, since game results, the periodic
+  // sweep and round starts all read and save the same document
+  withTournament(tournamentId, task) {
+    const key = tournamentId.toString();
+    const next = (this.tournamentTasks.get(key) || Promise.resolve())
+      .then(task)
+      .catch(error => console.error('Error updating tournament:', error));
+
+    this.tournamentTasks.set(key, next);
+    next.then(() => {
+      if (this.tournamentTasks.get(key) === next) this.tournamentTasks.delete(key);
+    });
+    return next;
+  }
+
+  // Starts tournaments whose registration has closed and moves on those whose round is
+  // over. Rounds left waiting by a restart are picked up here too.
+  async runTournaments() {
+    if (this.draining) return;
+
+    try {
+      const due = await Tournament.find({
+        $or: [
+          { status: 'registration', registrationClosesAt: { $lte: new Date() } },
+          { status: 'running' }
+        ]
+      }).select('_id');
+
+      for (const { _id } of due) {
+        await this.withTournament(_id, () => this.advanceTournament(_id));
+      }
+    } catch (error) {
+      console.error('Error running tournaments:', error);
+    }
+  }
+
+  // Must run inside withTournament
+  async advanceTournament(tournamentId) {
+    if (this.draining) return;
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) return;
+
+    if (tournament.status === 'registration') {
+      if (tournament.registrationClosesAt > new Date()) return;
+
+      if (tournament.players.length < tournament.minPlayers) {
+        await tournaments.cancelTournament(tournament._id, 'Not enough players');
+        this.notifyTournament(tournament, 'tournamentCancelled', {
+          tournamentId: tournament._id,
+          reason: 'Not enough players',
+          refund: tournament.entryFee
+        });
+        return;
+      }
+
+      tournament.status = 'running';
+      tournament.startedAt = new Date();
+      if (tournament.format === 'swiss' && !tournament.totalRounds) {
+        tournament.totalRounds = tournaments.totalRounds(tournament);
+      }
+      return this.startPairings(tournament, tournaments.startRound(tournament));
+    }
+
+    if (tournament.status !== 'running') return;
+
+    const round = tournaments.currentRoundOf(tournament);
+    if (round && !tournaments.isRoundComplete(round)) {
+      return this.startPairings(tournament, round);
+    }
+
+    if (tournaments.isFinished(tournament)) {
+      await tournaments.completeTournament(tournament);
+      this.notifyTournament(tournament, 'tournamentCompleted', {
+        tournamentId: tournament._id,
+        standings: tournament.standings
+      });
+      return;
+    }
+
+    return this.startPairings(tournament, tournaments.startRound(tournament));
+  }
+
+  // Creates the games of a round that have not been started yet, through the same path as
+  // any other match. Players still waiting in the queue or in a private room are pulled out;
+  // someone in another game forfeits, and so does a pair who are both offline. A single
+  // offline player gets the reconnect grace period.
+  async startPairings(tournament, round) {
+    const waiting = round.pairings.filter(pairing => pairing.result === 'pending' && !pairing.match);
+    const users = await User.find({ _id: { $in: tournament.players.map(p => p.user) } }).select('username');
+    const playerFor = (userId) => {
+      const user = users.find(u => u.id === tournaments.idOf(userId));
+      return { id: user.id, username: user.username };
+    };
+
+    for (const pairing of waiting) {
+      const players = pairing.players.map(playerFor);
+
+      for (const player of players) {
+        this.removePlayerFromQueue(player.id);
+        const privateRoom = this.findGameByPlayerId(player.id);
+        if (privateRoom && privateRoom.players.length < 2) {
+          await this.cancelPrivateRoom(privateRoom, 'tournament');
+        }
+      }
+
+      const busy = players.filter(p => this.isPlayerInGame(p.id));
+      if (busy.length > 0) {
+        const winner = busy.length === 1 ? players.find(p => !busy.includes(p)).id : null;
+        tournaments.recordResult(tournament, pairing, winner, 'forfeit');
+        continue;
+      }
+
+      if (players.every(p => !this.playerSockets.has(p.id))) {
+        tournaments.recordResult(tournament, pairing, null, 'forfeit');
+        continue;
+      }
+
+      const gameState = await this.createMatch(players[0], players[1], {
+        betAmount: 0,
+        variant: tournament.variant,
+        timeControl: tournament.timeControl,
+        tournamentId: tournament._id,
+        tournamentRound: round.number
+      });
+      pairing.match = gameState.matchId;
+
+      for (const player of players.filter(p => !this.playerSockets.has(p.id))) {
+        this.pauseForReconnect(gameState, player.id);
+      }
+    }
+
+    await tournament.save();
+
+    if (waiting.length > 0) {
+      this.notifyTournament(tournament, 'tournamentRoundStarted', {
+        tournamentId: tournament._id,
+        round: round.number,
+        pairings: round.pairings
+      });
+    }
+
+    if (tournaments.isRoundComplete(round)) {
+      await this.advanceTournament(tournament._id);
+    }
+  }
+
+  // Feeds a finished tournament game back into its bracket. A cancelled game is cleared so
+  // the next sweep starts it again; a drawn knockout game is cleared too and replayed at once.
+  async recordTournamentResult(gameState, winnerId, { cancelled = false } = {}) {
+    await this.withTournament(gameState.tournamentId, async () => {
+      const tournament = await Tournament.findById(gameState.tournamentId);
+      if (!tournament || tournament.status !== 'running') return;
+
+      const pairing = tournaments.currentRoundOf(tournament)?.pairings
+        .find(p => tournaments.idOf(p.match) === tournaments.idOf(gameState.matchId));
+      if (!pairing || pairing.result !== 'pending') return;
+
+      if (cancelled) {
+        pairing.match = undefined;
+        await tournament.save();
+        return;
+      }
+
+      tournaments.recordResult(tournament, pairing, winnerId);
+      await tournament.save();
+      await this.advanceTournament(tournament._id);
+    });
+  }
+
+  notifyTournament(tournament, event, payload) {
+    for (const player of tournament.players) {
+      const socketId = this.playerSockets.get(tournaments.idOf(player.user));
+      if (socketId) this.io.to(socketId).emit(event, payload);
+    }
+  }
+
+  // Shutdown drain: stops new games, warns everyone and gives running games until the
+  // deadline to finish. Whatever is still running then is cancelled and refunded. Called
+  // again while draining, it only brings the deadline forward.
+  async drain(timeout) {
+    this.drainDeadline = Math.min(this.drainDeadline ?? Infinity, Date.now() + timeout);
+    if (this.draining) return;
+
+    this.draining = true;
+    clearInterval(this.matchmakingTimer);
+    clearInterval(this.tournamentTimer);
+    const deadline = this.drainDeadline;
+
+    for (const queue of this.matchmakingQueues.values()) {
+      for (const player of queue) {
+        this.io.to(player.socketId).emit('matchCancelled');
+      }
+    }
+    this.matchmakingQueues.clear();
+
+    await Promise.all([...this.activeGames.values()]
+      .filter(gameState => gameState.players.length < 2)
+      .map(gameState => this.cancelPrivateRoom(gameState, 'maintenance')));
+
+    this.io.emit('serverMaintenance', {
+      deadline,
+      message: 'Server is restarting. Games still running at the deadline will be cancelled and refunded'
+    });
+
+    while (this.activeGames.size > 0 && Date.now() < this.drainDeadline) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    const results = await Promise.allSettled(
+      [...this.activeGames.values()].map(gameState => this.handleGameCancelled(gameState, 'maintenance'))
+    );
+    console.log(`Cancelled ${results.length} games still running at shutdown`);
+  }
+
+  // Rates a finished game for both players and records it in their rating history.
+  // `winnerId` is null for a draw. Returns the change per user ID.
+  async updateRatings(gameState, matchId, winnerId) {
+    const users = await Promise.all(gameState.players.map(p => User.findById(p.id)));
+    const { variant } = gameState;
+    const now = new Date();
+    const firstScore = winnerId === null ? 0.5 : winnerId === users[0].id ? 1 : 0;
+    const updated = rating.rateGame(users[0].ratings[variant], users[1].ratings[variant], firstScore, now);
+
+    const changes = {};
+    await Promise.all(users.map(async (user, index) => {
+      const ratingBefore = user.ratings[variant].rating;
+      user.set(`ratings.${variant}`, updated[index]);
+      await user.save();
+
+      await RatingHistory.create({
+        user: user._id,
+        match: matchId,
+        opponent: users[1 - index]._id,
+        variant,
+        score: index === 0 ? firstScore : 1 - firstScore,
+        ratingBefore,
+        rating: updated[index].rating,
+        deviation: updated[index].deviation
+      });
+
+      changes[user.id] = {
+        ...rating.describe(updated[index], now),
+        change: Math.round(updated[index].rating) - Math.round(ratingBefore)
+      };
+    }));
+
+    return changes;
+  }
+
+  async collectCommission(amount, matchId) {
+    const house = await User.findOneAndUpdate({ role: 'house' }, { $inc: { balance: amount } }, { new: true });
+    if (!house) throw new Error('House account not found');
+
+    await Transaction.create({
+      user: house._id,
+      type: 'commission',
+      amount,
+      description: 'Commission on match pot',
+      relatedMatch: matchId,
+      balanceAfter: house.balance
+    });
+  }
+
+  async refundBet(userId, amount, matchId, description) {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { balance: amount } }, { new: true });
+
+    await Transaction.create({
+      user: userId,
+      type: 'refund',
+      amount,
+      description,
+      relatedMatch: matchId,
+      balanceAfter: user.balance
+    });
+  }
+
   generateRoomCode() {
     return Math.random().toString(36).substring(2, 8).toUpperCase();
   }
@@ -632,13 +2113,28 @@ class GameSocket {
     return false;
   }
 
+  // Players whose game is being set up count as in a game
   isPlayerInGame(userId) {
+    if (this.pendingPlayers.has(userId)) return true;
     for (const game of this.activeGames.values()) {
       if (game.players.some(p => p.id === userId)) return true;
     }
     return false;
   }
 
+  // Keeps players busy while `task` creates their game, which is awaited before it can go
+  // into activeGames
+  async whilePending(userIds, task) {
+    // Only clear the marks set here, another setup may already hold one
+    const marked = userIds.filter(userId => !this.pendingPlayers.has(userId));
+    marked.forEach(userId => this.pendingPlayers.add(userId));
+    try {
+      return await task();
+    } finally {
+      marked.forEach(userId => this.pendingPlayers.delete(userId));
+    }
+  }
+
   removePlayerFromQueue(userId) {
     for (const queue of this.matchmakingQueues.values()) {
       const index = queue.findIndex(p => p.id === userId);
@@ -655,12 +2151,23 @@ class GameSocket {
     return null;
   }
 
-  handlePlayerDisconnect(gameState, userId) {
-    if (gameState.players.length < 2) {
-      this.activeGames.delete(gameState.roomCode);
-    } else {
-      const winner = gameState.players.find(p => p.id !== userId);
-      this.handleGameOver(gameState, winner.id);
+  // The opponent wins by forfeit, unless they are gone too: with nobody left to award the
+  // game to it is called off and both stakes go back
+  async handlePlayerDisconnect(gameState, userId) {
+    try {
+      if (gameState.players.length < 2) {
+        await this.cancelPrivateRoom(gameState, 'disconnect');
+        return;
+      }
+
+      const opponent = gameState.players.find(p => p.id !== userId);
+      if (gameState.disconnectedPlayers[opponent.id]) {
+        await this.handleGameCancelled(gameState, 'abandoned');
+      } else {
+        await this.handleGameOver(gameState, opponent.id, 'disconnect');
+      }
+    } catch (error) {
+      console.error('Error handling player disconnect:', error);
     }
   }
 
@@ -668,20 +2175,41 @@ class GameSocket {
   handleGameStateRequest(socket) {
     const gameState = this.findGameByPlayerId(socket.user.id);
     if (gameState) {
-      socket.emit('gameState', {
-        board: gameState.board,
-        currentTurn: gameState.currentTurn,
-        gameStats: gameState.gameStats
-      });
+      this.emitGameState(socket, gameState);
     }
   }
 
+  emitGameState(socket, gameState) {
+    socket.emit('gameState', {
+      roomCode: gameState.roomCode,
+      matchId: gameState.matchId,
+      players: gameState.players,
+      variant: gameState.variant,
+      boardSize: gameState.boardSize,
+      board: gameState.board,
+      currentTurn: gameState.currentTurn,
+      lastMove: gameState.lastMove,
+      drawOffer: gameState.drawOffer,
+      takebackRequest: gameState.takebackRequest,
+      disconnectedPlayers: gameState.disconnectedPlayers,
+      timeControl: gameState.timeControl,
+      clocks: Object.fromEntries(gameState.players.map(p => [p.id, this.getRemainingTime(gameState, p.id)])),
+      gameStats: gameState.gameStats
+    });
+  }
+
   handleAvailableMovesRequest(socket, position) {
     const gameState = this.findGameByPlayerId(socket.user.id);
     if (!gameState || gameState.currentTurn !== socket.user.id) {
       return socket.emit('error', { message: 'Not your turn' });
     }
 
+    const isSquare = position && Number.isInteger(position.row) && Number.isInteger(position.col) &&
+      rules.isInside(gameState.board, position.row, position.col);
+    if (!isSquare) {
+      return socket.emit('error', { message: 'Invalid position' });
+    }
+
     const playerColor = gameState.players[0].id === socket.user.id ? 'b' : 'r';
     const piece = gameState.board[position.row][position.col];
 
@@ -689,63 +2217,140 @@ class GameSocket {
       return socket.emit('availableMoves', []);
     }
 
-    const captures = this.findCapturesForPiece(gameState.board, position.row, position.col);
-    if (captures.length > 0) {
-      return socket.emit('availableMoves', captures);
-    }
+    // Full paths of the legal moves for this piece; captures are mandatory
+    const variant = rules.getVariant(gameState.variant);
+    const availableMoves = rules.findLegalMoves(gameState.board, playerColor, variant)
+      .filter(move => move.from.row === position.row && move.from.col === position.col)
+      .map(({ from, to, path, captured }) => ({ from, to, path, captured }));
 
-    const regularMoves = this.findRegularMoves(gameState.board, position.row, position.col);
-    socket.emit('availableMoves', regularMoves);
+    socket.emit('availableMoves', availableMoves);
   }
 
-  findRegularMoves(board, row, col) {
-    const piece = board[row][col];
-    if (!piece) return [];
+  // Engine suggestion for the player on move, only in practice games
+  async handleHintRequest(socket) {
+    try {
+      const gameState = this.findGameByPlayerId(socket.user.id);
+      if (!gameState) {
+        return socket.emit('error', { message: 'No active game' });
+      }
 
-    const moves = [];
-    const playerColor = piece.toLowerCase();
-    const isKing = piece === piece.toUpperCase();
+      if (!gameState.isPractice) {
+        return socket.emit('error', { message: 'Hints are only available in practice games' });
+      }
 
-    if (isKing) {
-      // King can move in all diagonal directions
-      const directions = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
-      for (const [rowDir, colDir] of directions) {
-        let r = row + rowDir;
-        let c = col + colDir;
-        
-        while (r >= 0 && r < 8 && c >= 0 && c < 8 && board[r][c] === null) {
-          moves.push({
-            from: { row, col },
-            to: { row: r, col: c }
-          });
-          r += rowDir;
-          c += colDir;
-        }
+      if (gameState.currentTurn !== socket.user.id) {
+        return socket.emit('error', { message: 'Not your turn' });
       }
-    } else {
-      // Regular piece moves
-      const forward = playerColor === 'b' ? -1 : 1;
-      const possibleMoves = [
-        [forward, -1],
-        [forward, 1]
-      ];
-
-      for (const [rowDiff, colDiff] of possibleMoves) {
-        const newRow = row + rowDiff;
-        const newCol = col + colDiff;
-        
-        if (newRow >= 0 && newRow < 8 && newCol >= 0 && newCol < 8 && 
-            board[newRow][newCol] === null) {
-          moves.push({
-            from: { row, col },
-            to: { row: newRow, col: newCol }
-          });
+
+      const playerColor = gameState.players[0].id === socket.user.id ? 'b' : 'r';
+      const variant = rules.getVariant(gameState.variant);
+      const { bestMove, score } = await engineWorker.findBestLine(gameState.board, playerColor, variant, 'medium');
+
+      socket.emit('hint', { path: bestMove, score });
+    } catch (error) {
+      socket.emit('error', { message: 'Error finding hint' });
+    }
+  }
+
+  // Chat between the two players of a game: free text (filtered, length and rate limited)
+  // or a quick phrase by its ID. Every message is kept on the match for moderation.
+  async handleChatMessage(socket, { text, phrase } = {}) {
+    try {
+      const user = socket.user;
+      const gameState = this.findGameByPlayerId(user.id);
+
+      if (!gameState || gameState.players.length < 2 || gameState.players.some(p => p.isBot)) {
+        return socket.emit('error', { message: 'No game to chat in' });
+      }
+
+      if (phrase !== undefined && !chat.isQuickPhrase(phrase)) {
+        return socket.emit('error', { message: 'Unknown quick phrase' });
+      }
+
+      const typed = phrase === undefined && typeof text === 'string' ? text.trim() : '';
+      if (phrase === undefined && !typed) {
+        return socket.emit('error', { message: 'Message is empty' });
+      }
+
+      if (typed.length > chat.MAX_MESSAGE_LENGTH) {
+        return socket.emit('error', { message: `Messages are limited to ${chat.MAX_MESSAGE_LENGTH} characters` });
+      }
+
+      if (!this.allowChatMessage(user.id)) {
+        return socket.emit('error', { message: 'You are sending messages too fast' });
+      }
+
+      // Read again so a ban takes effect without waiting for a reconnect
+      const account = await User.findById(user.id).select('chatBanned chatBannedUntil');
+      if (account.isChatBanned()) {
+        return socket.emit('error', { message: 'You are not allowed to chat' });
+      }
+
+      const filtered = phrase === undefined ? chat.filterMessage(typed) : chat.QUICK_PHRASES[phrase];
+      const message = {
+        user: user.id,
+        username: user.username,
+        text: filtered,
+        phrase: phrase ?? null,
+        createdAt: new Date()
+      };
+
+      await GameMatch.findByIdAndUpdate(gameState.matchId, {
+        $push: {
+          chat: {
+            user: user.id,
+            text: filtered,
+            original: phrase === undefined && filtered !== typed ? typed : undefined,
+            phrase,
+            createdAt: message.createdAt
+          }
+        }
+      });
+
+      // Free text is held back from opponents who muted the sender or only want quick phrases
+      for (const player of gameState.players) {
+        const recipient = this.io.sockets.sockets.get(this.playerSockets.get(player.id));
+        if (!recipient) continue;
+
+        const isSender = player.id === user.id;
+        const hasMuted = gameState.chatMuted[player.id];
+        const wantsQuickOnly = phrase === undefined && recipient.user.chatQuickOnly;
+
+        if (isSender || (!hasMuted && !wantsQuickOnly)) {
+          recipient.emit('chatMessage', message);
         }
       }
+    } catch (error) {
+      socket.emit('error', { message: 'Error sending message' });
+    }
+  }
+
+  // Mutes or unmutes the opponent's messages for the rest of the game
+  handleToggleMute(socket) {
+    const gameState = this.findGameByPlayerId(socket.user.id);
+    if (!gameState) {
+      return socket.emit('error', { message: 'No active game' });
     }
 
-    return moves;
+    gameState.chatMuted[socket.user.id] = !gameState.chatMuted[socket.user.id];
+    socket.emit('chatMuteChanged', { muted: gameState.chatMuted[socket.user.id] });
+  }
+
+  // Saved on the account: with quickOnly set, the player only receives quick phrases
+  async handleSetChatMode(socket, { quickOnly } = {}) {
+    try {
+      socket.user.chatQuickOnly = Boolean(quickOnly);
+      await User.findByIdAndUpdate(socket.user.id, { chatQuickOnly: socket.user.chatQuickOnly });
+      socket.emit('chatModeChanged', { quickOnly: socket.user.chatQuickOnly });
+    } catch (error) {
+      socket.emit('error', { message: 'Error changing chat mode' });
+    }
   }
 }
 
-module.exports = GameSocket;
\ No newline at end of file
+module.exports = GameSocket;
+module.exports.TIME_CONTROLS = TIME_CONTROLS;
+module.exports.recordDrawProgress = recordDrawProgress;
+module.exports.stakeTier = stakeTier;
+module.exports.ratingRange = ratingRange;
+module.exports.calculateRake = calculateRake;
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Leaderboards by period and metric, aggregated from match, transaction and rating history
+const mongoose = require('mongoose');
+const { User, GameMatch, Transaction, RatingHistory } = require('./models');
+const rating = require('./rating');
+
+const PERIODS = ['daily', 'weekly', 'monthly', 'allTime'];
+const METRICS = ['wins', 'winRate', 'netProfit', 'rating'];
+
+// Win rate only ranks players with at least this many games in the period by default
+const DEFAULT_MIN_GAMES = 10;
+
+// Transactions that count towards what a player has won or lost playing
+const PROFIT_TYPES = ['bet', 'win', 'refund', 'tournamentEntry', 'tournamentPrize'];
+
+// Start of the current UTC day, week (from Monday) or month; null for all time
+const periodStart = (period, now = new Date()) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  if (period === 'daily') return start;
+  if (period === 'weekly') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+  if (period === 'monthly') {
+    start.setUTCDate(1);
+    return start;
+  }
+  return null;
+};
+
+// Model and pipeline producing one { _id: userId, value, games? } document per ranked player.
+// Rating is the current rating for all time, and the points gained within shorter periods.
+const buildPipeline = ({ metric, period, variant, minGames }) => {
+  const since = periodStart(period);
+  const finished = {
+    status: 'completed',
+    isPractice: { $ne: true },
+    ...(since && { endTime: { $gte: since } }),
+    ...(variant && { variant })
+  };
+
+  if (metric === 'wins') {
+    return [GameMatch, [
+      { $match: { ...finished, result: 'win', winner: { $exists: true } } },
+      { $group: { _id: '$winner', value: { $sum: 1 } } }
+    ]];
+  }
+
+  if (metric === 'winRate') {
+    return [GameMatch, [
+      { $match: { ...finished, result: { $in: ['win', 'draw'] } } },
+      { $unwind: '$players' },
+      { $group: {
+        _id: '$players.user',
+        games: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $eq: ['$winner', '$players.user'] }, 1, 0] } }
+      }},
+      { $match: { games: { $gte: minGames } } },
+      { $project: { games: 1, value: { $multiply: [{ $divide: ['$wins', '$games'] }, 100] } } }
+    ]];
+  }
+
+  if (metric === 'netProfit') {
+    return [Transaction, [
+      { $match: {
+        type: { $in: PROFIT_TYPES },
+        status: 'completed',
+        ...(since && { createdAt: { $gte: since } })
+      }},
+      { $group: { _id: '$user', value: { $sum: '$amount' } } }
+    ]];
+  }
+
+  if (since) {
+    return [RatingHistory, [
+      { $match: { variant, createdAt: { $gte: since } } },
+      { $group: {
+        _id: '$user',
+        value: { $sum: { $subtract: ['$rating', '$ratingBefore'] } },
+        games: { $sum: 1 }
+      }}
+    ]];
+  }
+
+  return [User, [
+    { $match: { role: 'user', [`ratings.${variant}.games`]: { $gte: rating.PROVISIONAL_GAMES } } },
+    { $project: { value: `$ratings.${variant}.rating`, games: `$ratings.${variant}.games` } }
+  ]];
+};
+
+// One page of the leaderboard plus, when `userId` is given, that user's own position.
+// Ties are broken by user ID so positions are stable between pages.
+const getLeaderboard = async ({ metric, period, variant, minGames = DEFAULT_MIN_GAMES, page = 1, limit = 50, userId = null }) => {
+  const [model, pipeline] = buildPipeline({ metric, period, variant, minGames });
+
+  const [rows, [{ total = 0 } = {}]] = await Promise.all([
+    model.aggregate([...pipeline, { $sort: { value: -1, _id: 1 } }, { $skip: (page - 1) * limit }, { $limit: limit }]),
+    model.aggregate([...pipeline, { $count: 'total' }])
+  ]);
+
+  const users = await User.find({ _id: { $in: rows.map(row => row._id) } }).select('username avatar.url');
+  const entries = rows.map((row, index) => ({
+    position: (page - 1) * limit + index + 1,
+    user: users.find(user => user._id.equals(row._id)) || { _id: row._id },
+    value: Math.round(row.value * 100) / 100,
+    games: row.games
+  }));
+
+  let me = null;
+  if (userId) {
+    const id = new mongoose.Types.ObjectId(userId);
+    const [own] = await model.aggregate([...pipeline, { $match: { _id: id } }]);
+
+    if (own) {
+      const [{ ahead = 0 } = {}] = await model.aggregate([
+        ...pipeline,
+        { $match: { $or: [{ value: { $gt: own.value } }, { value: own.value, _id: { $lt: id } }] } },
+        { $count: 'ahead' }
+      ]);
+      me = { position: ahead + 1, value: Math.round(own.value * 100) / 100, games: own.games };
+    }
+  }
+
+  return {
+    entries,
+    me,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+module.exports = {
+  PERIODS,
+  METRICS,
+  DEFAULT_MIN_GAMES,
+  periodStart,
+  getLeaderboard
+};
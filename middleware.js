@@ -70,4 +70,20 @@ exports.isAdmin = async (req, res, next) => {
       success: false 
     });
   }
-};
\ No newline at end of file
+};
+// Middleware que identifica o usuário quando há token, sem exigir autenticação
+exports.optionalAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+      if (user && !user.isBlocked) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // Token inválido ou expirado: segue como visitante
+  }
+  next();
+};
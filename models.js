@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Skill rating for one variant, see rating.js
+const ratingSchema = new mongoose.Schema({
+  rating: {
+    type: Number,
+    default: 1500
+  },
+  deviation: {
+    type: Number,
+    default: 350
+  },
+  games: {
+    type: Number,
+    default: 0
+  },
+  lastPlayedAt: Date
+}, { _id: false });
+
+const VARIANT_NAMES = ['brazilian', 'american', 'russian', 'international'];
 
 // User Schema
 const userSchema = new mongoose.Schema({
@@ -25,7 +45,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'admin', 'house'],
     default: 'user'
   },
   balance: {
@@ -47,6 +67,10 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  ratings: Object.fromEntries(VARIANT_NAMES.map(variant => [
+    variant,
+    { type: ratingSchema, default: () => ({}) }
+  ])),
   avatar: {
     public_id: String,
     url: {
@@ -58,6 +82,18 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Only quick phrases are shown to players who turned free-text chat off
+  chatQuickOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Chat ban set by an admin; without an end date it lasts until lifted
+  chatBanned: {
+    type: Boolean,
+    default: false
+  },
+  chatBannedUntil: Date,
+  chatBanReason: String,
   createdAt: {
     type: Date,
     default: Date.now
@@ -120,28 +156,68 @@ const gameMatchSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  variant: {
+    type: String,
+    enum: VARIANT_NAMES,
+    default: 'brazilian'
+  },
+  boardSize: {
+    type: Number,
+    enum: [8, 10],
+    default: 8
+  },
+  timeControl: {
+    type: String,
+    default: '10+0'
+  },
   status: {
     type: String,
-    enum: ['active', 'completed', 'cancelled'],
+    enum: ['waiting', 'active', 'completed', 'cancelled'],
     default: 'active'
   },
   isPrivate: {
     type: Boolean,
     default: false
   },
+  // Practice game against the computer; only the human player is listed
+  isPractice: {
+    type: Boolean,
+    default: false
+  },
+  botDifficulty: {
+    type: String,
+    enum: ['beginner', 'easy', 'medium', 'hard']
+  },
   roomCode: {
     type: String,
     sparse: true
   },
+  // Private rooms: the only user allowed to join, if the host named one, and when an
+  // unjoined room is called off
+  invitedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: Date,
   moves: [{
     from: {
-      x: Number,
-      y: Number
+      row: Number,
+      col: Number
     },
     to: {
-      x: Number,
-      y: Number
+      row: Number,
+      col: Number
     },
+    path: [{
+      _id: false,
+      row: Number,
+      col: Number
+    }],
+    captured: [{
+      _id: false,
+      row: Number,
+      col: Number
+    }],
     player: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -155,6 +231,56 @@ const gameMatchSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  result: {
+    type: String,
+    enum: ['win', 'draw']
+  },
+  drawReason: {
+    type: String,
+    enum: ['agreement', 'repetition', 'kingMoves']
+  },
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament'
+  },
+  tournamentRound: Number,
+  // In-game chat. `text` is what the players saw; `original` keeps the message as typed
+  // when the word filter changed it.
+  chat: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    text: String,
+    original: String,
+    phrase: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  chatReports: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Platform fee taken from the pot when the match was won
+  commission: {
+    type: Number,
+    default: 0
+  },
+  // In-progress game state, kept while the match is active so it survives a restart
+  snapshot: mongoose.Schema.Types.Mixed,
+  // Engine annotations for every ply, computed the first time the review is requested
+  review: mongoose.Schema.Types.Mixed,
   startTime: Date,
   endTime: Date
 }, {
@@ -170,7 +296,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['bet', 'win', 'recharge', 'withdrawal'],
+    enum: ['bet', 'win', 'refund', 'commission', 'tournamentEntry', 'tournamentPrize', 'recharge', 'withdrawal'],
     required: true
   },
   amount: {
@@ -193,6 +319,10 @@ const transactionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'PaymentRequest'
   },
+  relatedTournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament'
+  },
   status: {
     type: String,
     enum: ['pending', 'completed', 'failed', 'cancelled'],
@@ -202,6 +332,192 @@ const transactionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Friendship Schema
+const friendshipSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'blocked'],
+    default: 'pending'
+  },
+  blockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Tournament Schema
+const tournamentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: ['knockout', 'swiss'],
+    required: true
+  },
+  variant: {
+    type: String,
+    enum: VARIANT_NAMES,
+    default: 'brazilian'
+  },
+  timeControl: {
+    type: String,
+    default: '10+0'
+  },
+  entryFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  minPlayers: {
+    type: Number,
+    default: 2,
+    min: 2
+  },
+  maxPlayers: {
+    type: Number,
+    default: 32,
+    min: 2
+  },
+  // Swiss only; knockouts play until one player is left
+  totalRounds: Number,
+  registrationOpensAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The first round starts when registration closes
+  registrationClosesAt: {
+    type: Date,
+    required: true
+  },
+  // Percentage of the prize pool paid to each place, first place first
+  prizeDistribution: {
+    type: [Number],
+    default: [100]
+  },
+  prizePool: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['registration', 'running', 'completed', 'cancelled'],
+    default: 'registration'
+  },
+  cancelReason: String,
+  players: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Rating when registering, used for seeding
+    rating: Number,
+    score: {
+      type: Number,
+      default: 0
+    },
+    hadBye: {
+      type: Boolean,
+      default: false
+    },
+    eliminatedInRound: Number
+  }],
+  currentRound: {
+    type: Number,
+    default: 0
+  },
+  rounds: [{
+    _id: false,
+    number: Number,
+    startedAt: Date,
+    pairings: [{
+      _id: false,
+      players: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }],
+      match: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GameMatch'
+      },
+      winner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      result: {
+        type: String,
+        enum: ['pending', 'win', 'draw', 'bye', 'forfeit'],
+        default: 'pending'
+      }
+    }]
+  }],
+  standings: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    place: Number,
+    score: Number,
+    prize: Number
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: Date,
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+// Rating History Schema
+const ratingHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GameMatch'
+  },
+  opponent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  variant: {
+    type: String,
+    enum: VARIANT_NAMES,
+    required: true
+  },
+  score: {
+    type: Number,
+    enum: [0, 0.5, 1]
+  },
+  ratingBefore: Number,
+  rating: Number,
+  deviation: Number
+}, {
+  timestamps: true
+});
+
 // Reset Code Schema (Nova funcionalidade)
 const resetCodeSchema = new mongoose.Schema({
   user: {
@@ -232,16 +548,58 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+userSchema.methods.isChatBanned = function() {
+  return this.chatBanned && (!this.chatBannedUntil || this.chatBannedUntil > new Date());
+};
+
 // Method to compare passwords
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// The platform's own account, which collects commissions. Its username cannot be taken
+// by a player, and it is created blocked with a random password so nobody can log into it.
+const HOUSE_USERNAME = 'house';
+
+userSchema.statics.isReservedUsername = function(username) {
+  return String(username).trim().toLowerCase() === HOUSE_USERNAME;
+};
+
+// Run at startup; throws when the account is missing and cannot be created
+userSchema.statics.ensureHouseAccount = async function() {
+  const house = await this.findOne({ role: 'house' });
+  if (house) return house;
+
+  try {
+    return await this.create({
+      username: HOUSE_USERNAME,
+      email: process.env.HOUSE_ACCOUNT_EMAIL || 'house@localhost',
+      password: crypto.randomBytes(32).toString('hex'),
+      role: 'house',
+      isBlocked: true
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Created at the same moment by another server
+    const created = await this.findOne({ role: 'house' });
+    if (created) return created;
+
+    throw new Error(`Cannot create the house account: the username "${HOUSE_USERNAME}" or its email is already in use`);
+  }
+};
+
 // Create indexes
 userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ totalWinnings: -1 }); // Para queries de ranking
+VARIANT_NAMES.forEach(variant => userSchema.index({ [`ratings.${variant}.rating`]: -1 }));
+ratingHistorySchema.index({ user: 1, variant: 1, createdAt: -1 });
+tournamentSchema.index({ status: 1, registrationClosesAt: 1 });
+friendshipSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+friendshipSchema.index({ recipient: 1, status: 1 });
 gameMatchSchema.index({ roomCode: 1 });
+gameMatchSchema.index({ 'players.user': 1, endTime: -1 }); // Para o histórico de partidas por jogador
 paymentRequestSchema.index({ status: 1, type: 1 });
 transactionSchema.index({ user: 1, createdAt: -1 }); // Para histórico de transações do usuário
 transactionSchema.index({ type: 1, createdAt: -1 }); // Para filtrar transações por tipo
@@ -253,6 +611,9 @@ const PaymentRequest = mongoose.model('PaymentRequest', paymentRequestSchema);
 const GameMatch = mongoose.model('GameMatch', gameMatchSchema);
 const Transaction = mongoose.model('Transaction', transactionSchema);
 const ResetCode = mongoose.model('ResetCode', resetCodeSchema);
+const RatingHistory = mongoose.model('RatingHistory', ratingHistorySchema);
+const Tournament = mongoose.model('Tournament', tournamentSchema);
+const Friendship = mongoose.model('Friendship', friendshipSchema);
 
 // Export models
 module.exports = {
@@ -260,5 +621,8 @@ module.exports = {
   PaymentRequest,
   GameMatch,
   Transaction,
-  ResetCode
+  ResetCode,
+  RatingHistory,
+  Tournament,
+  Friendship
 };
\ No newline at end of file
@@ -0,0 +1,205 @@
+// Portable Draughts Notation (PDN) export and import
+const rules = require('./rules');
+
+// PDN GameType numbers for the variants we play
+const GAME_TYPES = {
+  international: 20,
+  american: 21,
+  russian: 25,
+  brazilian: 26
+};
+
+// Square numbers run along the dark squares from the top-left of the board. American
+// checkers counts from the side that moves first, so its numbering is turned around.
+const squareCount = (variant) => (variant.boardSize * variant.boardSize) / 2;
+
+const toSquareNumber = (variant, { row, col }) => {
+  const number = row * (variant.boardSize / 2) + Math.floor(col / 2) + 1;
+  return variant.name === 'american' ? squareCount(variant) + 1 - number : number;
+};
+
+const fromSquareNumber = (variant, square) => {
+  const number = variant.name === 'american' ? squareCount(variant) + 1 - square : square;
+  const row = Math.floor((number - 1) / (variant.boardSize / 2));
+  const col = ((number - 1) % (variant.boardSize / 2)) * 2 + (row % 2 === 0 ? 1 : 0);
+  return { row, col };
+};
+
+// PDN results are written White score first. Black moves first in American checkers and
+// White everywhere else; our first player is always the one who moves first.
+const formatResult = (variant, firstPlayerScore) => {
+  if (firstPlayerScore === null) return '*';
+
+  const [win, draw, loss] = variant.name === 'american' ? ['1', '1/2', '0'] : ['2', '1', '0'];
+  const score = firstPlayerScore === 1 ? win : firstPlayerScore === 0 ? loss : draw;
+  const otherScore = firstPlayerScore === 1 ? loss : firstPlayerScore === 0 ? win : draw;
+
+  return variant.name === 'american' ? `${otherScore}-${score}` : `${score}-${otherScore}`;
+};
+
+const formatMove = (variant, path, isCapture) => {
+  return path.map(square => toSquareNumber(variant, square)).join(isCapture ? 'x' : '-');
+};
+
+const formatDate = (date) => {
+  if (!date) return '????.??.??';
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+};
+
+// Builds a PDN game from a GameMatch with players.user and winner populated
+const exportPdn = (match) => {
+  const variant = rules.getVariant(match.variant);
+  const [first, second] = [0, 1].map(index =>
+    match.players[index]?.user?.username || (match.isPractice ? 'Computer' : '?')
+  );
+
+  let firstPlayerScore = null;
+  if (match.result === 'draw') {
+    firstPlayerScore = 0.5;
+  } else if (match.result === 'win' && !match.winner) {
+    // Practice game won by the computer, which always plays second
+    firstPlayerScore = 0;
+  } else if (match.result === 'win') {
+    const winnerId = (match.winner._id || match.winner).toString();
+    firstPlayerScore = winnerId === (match.players[0].user._id || match.players[0].user).toString() ? 1 : 0;
+  }
+  const result = formatResult(variant, firstPlayerScore);
+
+  const headers = [
+    ['Event', match.isPrivate ? 'Private match' : 'Online match'],
+    ['Date', formatDate(match.startTime || match.createdAt)],
+    ['White', variant.name === 'american' ? second : first],
+    ['Black', variant.name === 'american' ? first : second],
+    ['Result', result],
+    ['GameType', String(GAME_TYPES[variant.name])],
+    ['Variant', variant.name],
+    ['Bet', String(match.betAmount)],
+    ['TimeControl', match.timeControl]
+  ];
+
+  const tokens = [];
+  match.moves.forEach((move, index) => {
+    const path = move.path.length > 0 ? move.path : [move.from, move.to];
+    const text = formatMove(variant, path, move.captured.length > 0);
+    tokens.push(index % 2 === 0 ? `${index / 2 + 1}. ${text}` : text);
+  });
+  tokens.push(result);
+
+  // Movetext lines are kept under 80 characters
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && line.length + token.length + 1 > 79) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  }
+  lines.push(line);
+
+  const headerText = headers.map(([tag, value]) => `[${tag} "${String(value).replace(/"/g, '\\"')}"]`).join('\n');
+  return `${headerText}\n\n${lines.join('\n')}\n`;
+};
+
+const parseHeaders = (text) => {
+  const headers = {};
+  const headerPattern = /\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]/g;
+  let match;
+
+  while ((match = headerPattern.exec(text)) !== null) {
+    headers[match[1]] = match[2].replace(/\\"/g, '"');
+  }
+
+  return headers;
+};
+
+const detectVariant = (headers) => {
+  if (headers.Variant && rules.getVariant(headers.Variant.toLowerCase())) {
+    return rules.getVariant(headers.Variant.toLowerCase());
+  }
+
+  const gameType = parseInt(headers.GameType, 10);
+  const name = Object.keys(GAME_TYPES).find(key => GAME_TYPES[key] === gameType);
+  return name ? rules.getVariant(name) : rules.getVariant(rules.DEFAULT_VARIANT);
+};
+
+// Strips headers, comments, variations, move numbers, NAGs and the result, leaving the moves
+const extractMoveTokens = (text) => {
+  let movetext = text.replace(/\[[^\]]*\]/g, ' ').replace(/\{[^}]*\}/g, ' ');
+
+  let previous;
+  do {
+    previous = movetext;
+    movetext = movetext.replace(/\([^()]*\)/g, ' ');
+  } while (movetext !== previous);
+
+  return movetext
+    .replace(/\d+\.(\.\.)?/g, ' ')
+    .replace(/\$\d+/g, ' ')
+    .split(/\s+/)
+    .map(token => token.replace(/[!?]+$/, ''))
+    .filter(token => token && !['*', '2-0', '0-2', '1-1', '1-0', '0-1', '1/2-1/2', '0-0'].includes(token));
+};
+
+// Reads a single PDN game and checks every move against the rules. Captures written with
+// only their first and last squares are accepted when they are unambiguous.
+const importPdn = (text) => {
+  const headers = parseHeaders(text);
+  const variant = detectVariant(headers);
+  const tokens = extractMoveTokens(text);
+  const total = squareCount(variant);
+
+  const board = rules.createInitialBoard(variant);
+  const paths = [];
+  let playerColor = 'b';
+
+  for (const token of tokens) {
+    if (!/^\d+([-x]\d+)+$/.test(token)) {
+      return { error: `Unreadable move "${token}"` };
+    }
+
+    const squares = token.split(/[-x]/).map(Number);
+    if (squares.some(square => square < 1 || square > total)) {
+      return { error: `Square out of range in move "${token}"` };
+    }
+
+    const path = squares.map(square => fromSquareNumber(variant, square));
+    const legalMoves = rules.findLegalMoves(board, playerColor, variant);
+    let move = rules.findMoveByPath(legalMoves, path);
+
+    if (!move && path.length === 2) {
+      const candidates = legalMoves.filter(legalMove =>
+        legalMove.from.row === path[0].row && legalMove.from.col === path[0].col &&
+        legalMove.to.row === path[1].row && legalMove.to.col === path[1].col
+      );
+      if (candidates.length > 1) {
+        return { error: `Ambiguous capture "${token}" at ply ${paths.length + 1}` };
+      }
+      move = candidates[0];
+    }
+
+    if (!move) {
+      return { error: `Illegal move "${token}" at ply ${paths.length + 1}` };
+    }
+
+    rules.applyMove(board, move);
+    paths.push(move.path);
+    playerColor = playerColor === 'b' ? 'r' : 'b';
+  }
+
+  return {
+    headers,
+    variant: variant.name,
+    boardSize: variant.boardSize,
+    replay: rules.replayGame(variant, paths)
+  };
+};
+
+module.exports = {
+  exportPdn,
+  importPdn,
+  toSquareNumber,
+  fromSquareNumber
+};
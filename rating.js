@@ -0,0 +1,82 @@
+// Glicko skill ratings. Each entry holds a rating, its deviation (how unsure we are about
+// it), the number of rated games and when the last one was played.
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const MIN_DEVIATION = 30;
+
+// Accounts with fewer rated games than this have a provisional rating
+const PROVISIONAL_GAMES = 10;
+
+// Deviation growth per idle day: a settled rating (deviation 50) is back to the default
+// deviation after a year without games
+const DEVIATION_GROWTH = Math.sqrt((DEFAULT_DEVIATION ** 2 - 50 ** 2) / 365);
+
+const DAY = 24 * 60 * 60 * 1000;
+const Q = Math.log(10) / 400;
+
+const withDefaults = (entry = {}) => ({
+  rating: entry.rating ?? DEFAULT_RATING,
+  deviation: entry.deviation ?? DEFAULT_DEVIATION,
+  games: entry.games ?? 0,
+  lastPlayedAt: entry.lastPlayedAt ?? null
+});
+
+// Deviation as of `now`, grown for the time the player has been inactive
+const currentDeviation = (entry, now = new Date()) => {
+  const { deviation, lastPlayedAt } = withDefaults(entry);
+  if (!lastPlayedAt) return deviation;
+
+  const idleDays = Math.max(0, (now - new Date(lastPlayedAt)) / DAY);
+  return Math.min(Math.sqrt(deviation ** 2 + DEVIATION_GROWTH ** 2 * idleDays), DEFAULT_DEVIATION);
+};
+
+const isProvisional = (entry) => withDefaults(entry).games < PROVISIONAL_GAMES;
+
+// Rating as shown to players
+const describe = (entry, now = new Date()) => {
+  const { rating, games } = withDefaults(entry);
+  return {
+    rating: Math.round(rating),
+    deviation: Math.round(currentDeviation(entry, now)),
+    games,
+    provisional: isProvisional(entry)
+  };
+};
+
+const attenuation = (deviation) => 1 / Math.sqrt(1 + (3 * Q ** 2 * deviation ** 2) / Math.PI ** 2);
+
+// New entry for a player after one game against `opponent`; score is 1, 0.5 or 0
+const updateEntry = (entry, opponent, score, now) => {
+  const { rating, games } = withDefaults(entry);
+  const deviation = currentDeviation(entry, now);
+  const opponentRating = withDefaults(opponent).rating;
+  const g = attenuation(currentDeviation(opponent, now));
+
+  const expected = 1 / (1 + 10 ** (-g * (rating - opponentRating) / 400));
+  const dSquared = 1 / (Q ** 2 * g ** 2 * expected * (1 - expected));
+  const precision = 1 / deviation ** 2 + 1 / dSquared;
+
+  return {
+    rating: rating + (Q / precision) * g * (score - expected),
+    deviation: Math.max(Math.sqrt(1 / precision), MIN_DEVIATION),
+    games: games + 1,
+    lastPlayedAt: now
+  };
+};
+
+// Rates a single game; `scoreA` is player A's score. Returns the new entries for A and B.
+const rateGame = (entryA, entryB, scoreA, now = new Date()) => [
+  updateEntry(entryA, entryB, scoreA, now),
+  updateEntry(entryB, entryA, 1 - scoreA, now)
+];
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  PROVISIONAL_GAMES,
+  currentDeviation,
+  isProvisional,
+  describe,
+  rateGame
+};
@@ -4,8 +4,16 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const nodemailer = require('nodemailer');
-const { isAuthenticated, isAdmin } = require('./middleware');
-const { User, PaymentRequest, GameMatch, Transaction, ResetCode } = require('./models');
+const { isAuthenticated, isAdmin, optionalAuth } = require('./middleware');
+const { User, PaymentRequest, GameMatch, Transaction, ResetCode, Tournament, Friendship } = require('./models');
+const rules = require('./rules');
+const pdn = require('./pdn');
+const engineWorker = require('./engineWorker');
+const rating = require('./rating');
+const tournaments = require('./tournament');
+const leaderboard = require('./leaderboard');
+const friends = require('./friends');
+const { TIME_CONTROLS } = require('./gameSocket');
 
 // Multer configuration for file uploads
 const upload = multer({
@@ -20,6 +28,10 @@ router.post('/auth/register', async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
+    if (User.isReservedUsername(username)) {
+      return res.status(400).json({ message: 'Username or email already exists' });
+    }
+
     // Check if user already exists
     const userExists = await User.findOne({ $or: [{ email }, { username }] });
     if (userExists) {
@@ -144,7 +156,13 @@ router.post('/auth/login', async (req, res) => {
 router.get('/profile/me', isAuthenticated, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
-    res.json(user);
+
+    // Ratings as of now, with the deviation grown for inactivity
+    const ratings = Object.fromEntries(Object.keys(rules.VARIANTS).map(variant =>
+      [variant, rating.describe(user.ratings[variant])]
+    ));
+
+    res.json({ ...user.toJSON(), ratings });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching profile', error: error.message });
   }
@@ -180,20 +198,656 @@ router.post('/profile/avatar', isAuthenticated, upload.single('avatar'), async (
   }
 });
 
+// Public Profile Routes
+// Never exposes email or balance
+const findPublicUser = (username) => User.findOne({ username, role: { $ne: 'house' } })
+  .select('username avatar.url stats totalWinnings ratings createdAt');
+
+// 'win', 'loss' or 'draw' from the point of view of `userId`
+const resultFor = (match, userId) => {
+  if (match.result === 'draw') return 'draw';
+  return match.winner && (match.winner._id || match.winner).equals(userId) ? 'win' : 'loss';
+};
+
+const FINISHED_MATCH = { status: 'completed', isPractice: { $ne: true } };
+
+router.get('/users/:username', async (req, res) => {
+  try {
+    const user = await findPublicUser(req.params.username);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Results of the last ten games, most recent first
+    const recentMatches = await GameMatch.find({ ...FINISHED_MATCH, 'players.user': user._id })
+      .sort({ endTime: -1 })
+      .limit(10)
+      .select('result winner');
+
+    res.json({
+      _id: user._id,
+      username: user.username,
+      avatar: user.avatar,
+      stats: user.stats,
+      totalWinnings: user.totalWinnings,
+      ratings: Object.fromEntries(Object.keys(rules.VARIANTS).map(variant =>
+        [variant, rating.describe(user.ratings[variant])]
+      )),
+      memberSince: user.createdAt,
+      recentForm: recentMatches.map(match => resultFor(match, user._id))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching user', error: error.message });
+  }
+});
+
+// Finished games of a user, newest first, filtered by result (win, loss, draw) and by
+// an end date range
+router.get('/users/:username/matches', async (req, res) => {
+  try {
+    const { result, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    if (result && !['win', 'loss', 'draw'].includes(result)) {
+      return res.status(400).json({ message: 'result must be win, loss or draw' });
+    }
+
+    const user = await findPublicUser(req.params.username);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const query = { ...FINISHED_MATCH, 'players.user': user._id };
+    if (result === 'win') query.winner = user._id;
+    if (result === 'loss') Object.assign(query, { result: 'win', winner: { $ne: user._id } });
+    if (result === 'draw') query.result = 'draw';
+
+    if (from || to) {
+      query.endTime = {};
+      if (from) query.endTime.$gte = new Date(from);
+      if (to) query.endTime.$lte = new Date(to);
+
+      if (Object.values(query.endTime).some(date => isNaN(date))) {
+        return res.status(400).json({ message: 'Invalid date' });
+      }
+    }
+
+    const [matches, total] = await Promise.all([
+      GameMatch.find(query)
+        .sort({ endTime: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('players winner result drawReason betAmount variant timeControl isPrivate tournament startTime endTime')
+        .populate('players.user', 'username avatar.url'),
+      GameMatch.countDocuments(query)
+    ]);
+
+    res.json({
+      matches: matches.map(match => ({
+        _id: match._id,
+        opponent: match.players.find(p => p.user && !p.user._id.equals(user._id))?.user || null,
+        result: resultFor(match, user._id),
+        drawReason: match.drawReason,
+        betAmount: match.betAmount,
+        variant: match.variant,
+        timeControl: match.timeControl,
+        isPrivate: match.isPrivate,
+        tournament: match.tournament,
+        startTime: match.startTime,
+        endTime: match.endTime,
+        duration: match.startTime && match.endTime ? match.endTime - match.startTime : null
+      })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching match history', error: error.message });
+  }
+});
+
+// Record of the first user against the second
+router.get('/users/:username/head-to-head/:opponent', async (req, res) => {
+  try {
+    const [user, opponent] = await Promise.all([
+      findPublicUser(req.params.username),
+      findPublicUser(req.params.opponent)
+    ]);
+
+    if (!user || !opponent) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const matches = await GameMatch.find({ ...FINISHED_MATCH, 'players.user': { $all: [user._id, opponent._id] } })
+      .sort({ endTime: -1 })
+      .select('result winner betAmount variant endTime');
+
+    const results = matches.map(match => resultFor(match, user._id));
+
+    res.json({
+      user: { _id: user._id, username: user.username },
+      opponent: { _id: opponent._id, username: opponent.username },
+      games: matches.length,
+      wins: results.filter(r => r === 'win').length,
+      losses: results.filter(r => r === 'loss').length,
+      draws: results.filter(r => r === 'draw').length,
+      recentMatches: matches.slice(0, 5).map((match, index) => ({
+        _id: match._id,
+        result: results[index],
+        betAmount: match.betAmount,
+        variant: match.variant,
+        endTime: match.endTime
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching head-to-head record', error: error.message });
+  }
+});
+
+// Friend Routes
+router.get('/friends', isAuthenticated, async (req, res) => {
+  try {
+    const friendships = await Friendship.find({ $or: [{ requester: req.user.id }, { recipient: req.user.id }] })
+      .populate('requester', 'username avatar.url')
+      .populate('recipient', 'username avatar.url');
+
+    const entry = (friendship) => ({
+      _id: friendship._id,
+      user: friendship.requester._id.equals(req.user.id) ? friendship.recipient : friendship.requester,
+      since: friendship.updatedAt
+    });
+
+    res.json({
+      friends: friendships.filter(f => f.status === 'accepted').map(entry),
+      incoming: friendships.filter(f => f.status === 'pending' && f.recipient._id.equals(req.user.id)).map(entry),
+      outgoing: friendships.filter(f => f.status === 'pending' && f.requester._id.equals(req.user.id)).map(entry),
+      // Only the blocks made by this user are listed
+      blocked: friendships.filter(f => f.status === 'blocked' && f.blockedBy.equals(req.user.id)).map(entry)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching friends', error: error.message });
+  }
+});
+
+// Sending a request to someone who already asked you accepts theirs
+router.post('/friends/requests', isAuthenticated, async (req, res) => {
+  try {
+    const other = await User.findOne({ username: req.body.username, role: 'user' });
+
+    if (!other) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (other._id.equals(req.user.id)) {
+      return res.status(400).json({ message: 'You cannot add yourself' });
+    }
+
+    const existing = await friends.findFriendship(req.user.id, other._id);
+
+    if (existing?.status === 'blocked') {
+      return res.status(403).json({ message: 'Cannot send a friend request to this user' });
+    }
+
+    if (existing?.status === 'accepted') {
+      return res.status(400).json({ message: 'Already friends' });
+    }
+
+    if (existing?.status === 'pending') {
+      if (existing.requester.equals(req.user.id)) {
+        return res.status(400).json({ message: 'Friend request already sent' });
+      }
+
+      existing.status = 'accepted';
+      await existing.save();
+      return res.json(existing);
+    }
+
+    const friendship = await Friendship.create({ requester: req.user.id, recipient: other._id });
+    res.status(201).json(friendship);
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending friend request', error: error.message });
+  }
+});
+
+router.post('/friends/requests/:id/accept', isAuthenticated, async (req, res) => {
+  try {
+    const friendship = await Friendship.findOne({ _id: req.params.id, recipient: req.user.id, status: 'pending' });
+
+    if (!friendship) {
+      return res.status(404).json({ message: 'Friend request not found' });
+    }
+
+    friendship.status = 'accepted';
+    await friendship.save();
+
+    res.json(friendship);
+  } catch (error) {
+    res.status(500).json({ message: 'Error accepting friend request', error: error.message });
+  }
+});
+
+router.post('/friends/requests/:id/decline', isAuthenticated, async (req, res) => {
+  try {
+    const friendship = await Friendship.findOneAndDelete({ _id: req.params.id, recipient: req.user.id, status: 'pending' });
+
+    if (!friendship) {
+      return res.status(404).json({ message: 'Friend request not found' });
+    }
+
+    res.json({ message: 'Friend request declined' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error declining friend request', error: error.message });
+  }
+});
+
+// Removes a friend, or withdraws a request not yet answered
+router.delete('/friends/:username', isAuthenticated, async (req, res) => {
+  try {
+    const other = await User.findOne({ username: req.params.username });
+    const friendship = other && await friends.findFriendship(req.user.id, other._id);
+
+    if (!friendship || friendship.status === 'blocked') {
+      return res.status(404).json({ message: 'Friendship not found' });
+    }
+
+    await friendship.deleteOne();
+    res.json({ message: 'Friend removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing friend', error: error.message });
+  }
+});
+
+// Blocking ends any friendship and stops requests, challenges and invites from that user
+router.post('/friends/:username/block', isAuthenticated, async (req, res) => {
+  try {
+    const other = await User.findOne({ username: req.params.username });
+
+    if (!other || other._id.equals(req.user.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const friendship = await friends.findFriendship(req.user.id, other._id);
+
+    if (friendship?.status === 'blocked') {
+      return res.status(400).json({ message: 'Already blocked' });
+    }
+
+    if (friendship) {
+      await friendship.deleteOne();
+    }
+
+    await Friendship.create({
+      requester: req.user.id,
+      recipient: other._id,
+      status: 'blocked',
+      blockedBy: req.user.id
+    });
+
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error blocking user', error: error.message });
+  }
+});
+
+router.delete('/friends/:username/block', isAuthenticated, async (req, res) => {
+  try {
+    const other = await User.findOne({ username: req.params.username });
+    const friendship = other && await Friendship.findOneAndDelete({
+      requester: req.user.id,
+      recipient: other._id,
+      status: 'blocked'
+    });
+
+    if (!friendship) {
+      return res.status(404).json({ message: 'Block not found' });
+    }
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error unblocking user', error: error.message });
+  }
+});
+
 // Ranking Routes
-router.get('/ranking', async (req, res) => {
+// Leaderboard for a period and metric. Signed-in callers also get their own position,
+// wherever it falls.
+router.get('/ranking', optionalAuth, async (req, res) => {
   try {
-    const topPlayers = await User.find({ role: 'user' })
-      .sort({ totalWinnings: -1 })
-      .limit(100)
-      .select('username stats totalWinnings avatar.url');
-    
-    res.json(topPlayers);
+    const { period = 'allTime', metric = 'rating', variant } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const minGames = Math.max(parseInt(req.query.minGames, 10) || leaderboard.DEFAULT_MIN_GAMES, 1);
+
+    if (!leaderboard.PERIODS.includes(period)) {
+      return res.status(400).json({ message: `period must be one of ${leaderboard.PERIODS.join(', ')}` });
+    }
+
+    if (!leaderboard.METRICS.includes(metric)) {
+      return res.status(400).json({ message: `metric must be one of ${leaderboard.METRICS.join(', ')}` });
+    }
+
+    if (variant && !rules.getVariant(variant)) {
+      return res.status(400).json({ message: 'Invalid variant' });
+    }
+
+    // Ratings are kept per variant, so that metric always has one
+    const ratingVariant = metric === 'rating' ? variant || rules.DEFAULT_VARIANT : variant;
+
+    const result = await leaderboard.getLeaderboard({
+      metric,
+      period,
+      variant: ratingVariant,
+      minGames,
+      page,
+      limit,
+      userId: req.user?.id
+    });
+
+    res.json({ metric, period, variant: ratingVariant || null, ...result });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching ranking', error: error.message });
   }
 });
 
+// Match Routes
+
+// The moves of a staked or tournament match still in progress are for its players only;
+// anyone else follows it as a spectator, with the broadcast delay
+const hidesLiveMoves = (match, userId) => match.status === 'active' && (match.betAmount > 0 || match.tournament) &&
+  !match.players.some(player => (player.user._id || player.user).toString() === userId.toString());
+
+router.get('/matches/:id', isAuthenticated, async (req, res) => {
+  try {
+    const match = await GameMatch.findById(req.params.id)
+      .select('-snapshot -chat -chatReports')
+      .populate('players.user', 'username avatar.url')
+      .populate('winner', 'username');
+
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    if (hidesLiveMoves(match, req.user.id)) {
+      const { moves, ...details } = match.toJSON();
+      return res.json({ ...details, moveCount: moves.length });
+    }
+
+    res.json(match);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching match', error: error.message });
+  }
+});
+
+router.get('/matches/:id/replay', isAuthenticated, async (req, res) => {
+  try {
+    const match = await GameMatch.findById(req.params.id).select('variant boardSize moves status betAmount tournament players');
+
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    if (hidesLiveMoves(match, req.user.id)) {
+      return res.status(403).json({ message: 'This match can only be watched live until it ends' });
+    }
+
+    // Moves saved before full paths were stored only have from/to
+    const paths = match.moves.map(move => (move.path.length > 0 ? move.path : [move.from, move.to])
+      .map(({ row, col }) => ({ row, col })));
+    const replay = rules.replayGame(rules.getVariant(match.variant), paths);
+
+    res.json({
+      matchId: match._id,
+      variant: match.variant,
+      boardSize: match.boardSize,
+      initialBoard: replay.initialBoard,
+      plies: replay.plies.map((ply, index) => ({
+        ...ply,
+        player: match.moves[index].player,
+        timestamp: match.moves[index].timestamp
+      })),
+      error: replay.error
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error building match replay', error: error.message });
+  }
+});
+
+// Reviews being computed, by match ID, so simultaneous requests share one search
+const reviewsInProgress = new Map();
+
+const reviewMatch = (match) => {
+  const key = match._id.toString();
+  if (!reviewsInProgress.has(key)) {
+    const paths = match.moves.map(move => (move.path.length > 0 ? move.path : [move.from, move.to])
+      .map(({ row, col }) => ({ row, col })));
+
+    const review = engineWorker.reviewGame(rules.getVariant(match.variant), paths)
+      .finally(() => reviewsInProgress.delete(key));
+    reviewsInProgress.set(key, review);
+  }
+  return reviewsInProgress.get(key);
+};
+
+// Engine review of a finished match, cached on the match once computed
+router.get('/matches/:id/analysis', isAuthenticated, async (req, res) => {
+  try {
+    const match = await GameMatch.findById(req.params.id).select('variant status moves review');
+
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    if (match.status === 'active') {
+      return res.status(400).json({ message: 'Match is still in progress' });
+    }
+
+    if (!match.review) {
+      match.review = await reviewMatch(match);
+      await match.save();
+    }
+
+    res.json({
+      matchId: match._id,
+      annotations: match.review
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error analysing match', error: error.message });
+  }
+});
+
+router.get('/matches/:id/pdn', isAuthenticated, async (req, res) => {
+  try {
+    const match = await GameMatch.findById(req.params.id)
+      .select('-snapshot')
+      .populate('players.user', 'username')
+      .populate('winner', 'username');
+
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    if (hidesLiveMoves(match, req.user.id)) {
+      return res.status(403).json({ message: 'This match can only be watched live until it ends' });
+    }
+
+    res.type('text/plain');
+    res.attachment(`match-${match._id}.pdn`);
+    res.send(pdn.exportPdn(match));
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting match', error: error.message });
+  }
+});
+
+// A player flags the chat of one of their matches for an admin to review
+router.post('/matches/:id/chat/report', isAuthenticated, async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+    const match = await GameMatch.findOne({ _id: req.params.id, 'players.user': req.user.id }).select('chatReports');
+
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    if (match.chatReports.some(report => report.user.equals(req.user.id))) {
+      return res.status(400).json({ message: 'You have already reported this chat' });
+    }
+
+    match.chatReports.push({ user: req.user.id, reason: String(reason).slice(0, 500) });
+    await match.save();
+
+    res.status(201).json({ message: 'Chat reported' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error reporting chat', error: error.message });
+  }
+});
+
+// Validates a PDN game against the rules and returns it in the replay format
+router.post('/pdn/import', isAuthenticated, async (req, res) => {
+  try {
+    const { pdn: text } = req.body;
+
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ message: 'PDN text is required' });
+    }
+
+    const imported = pdn.importPdn(text);
+    if (imported.error) {
+      return res.status(400).json({ message: 'Invalid PDN', error: imported.error });
+    }
+
+    res.json({
+      headers: imported.headers,
+      variant: imported.variant,
+      boardSize: imported.boardSize,
+      initialBoard: imported.replay.initialBoard,
+      plies: imported.replay.plies
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error importing PDN', error: error.message });
+  }
+});
+
+// Analysis Routes
+router.post('/analysis/evaluate', isAuthenticated, async (req, res) => {
+  try {
+    const { board, sideToMove, variant: variantName = rules.DEFAULT_VARIANT } = req.body;
+    const variant = rules.getVariant(variantName);
+
+    if (!variant) {
+      return res.status(400).json({ message: 'Invalid variant' });
+    }
+
+    if (!rules.isValidBoard(board, variant)) {
+      return res.status(400).json({ message: 'Invalid board' });
+    }
+
+    if (!['b', 'r'].includes(sideToMove)) {
+      return res.status(400).json({ message: 'sideToMove must be "b" or "r"' });
+    }
+
+    // Same rule as in-game hints: no engine help while playing for money or in a tournament
+    const rankedGame = await GameMatch.exists({
+      'players.user': req.user.id,
+      status: 'active',
+      $or: [{ betAmount: { $gt: 0 } }, { tournament: { $ne: null } }]
+    });
+    if (rankedGame) {
+      return res.status(403).json({ message: 'Analysis is not available while you are playing a staked or tournament match' });
+    }
+
+    res.json(await engineWorker.findBestLine(board, sideToMove, variant, 'hard', { background: true }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error evaluating position', error: error.message });
+  }
+});
+
+// Private Room Routes
+// What someone holding an invite link sees before joining
+router.get('/rooms/:code', isAuthenticated, async (req, res) => {
+  try {
+    const match = await GameMatch.findOne({
+      roomCode: req.params.code.toUpperCase(),
+      status: 'waiting',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('players.user', 'username avatar.url')
+      .populate('invitedUser', 'username');
+
+    if (!match) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+
+    res.json({
+      roomCode: match.roomCode,
+      host: match.players[0].user,
+      betAmount: match.betAmount,
+      variant: match.variant,
+      boardSize: match.boardSize,
+      timeControl: match.timeControl,
+      invitedUsername: match.invitedUser?.username || null,
+      canJoin: !match.invitedUser || match.invitedUser._id.toString() === req.user.id,
+      expiresAt: match.expiresAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching room', error: error.message });
+  }
+});
+
+// Tournament Routes
+router.get('/tournaments', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const list = await Tournament.find({ status: status || { $in: ['registration', 'running'] } })
+      .sort({ registrationClosesAt: 1 })
+      .limit(100)
+      .select('-rounds -standings');
+
+    res.json(list.map(tournament => ({
+      ...tournament.toJSON(),
+      players: undefined,
+      playerCount: tournament.players.length
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tournaments', error: error.message });
+  }
+});
+
+// Players, bracket and standings
+router.get('/tournaments/:id', async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id)
+      .populate('players.user', 'username avatar.url')
+      .populate('rounds.pairings.players', 'username')
+      .populate('rounds.pairings.winner', 'username')
+      .populate('standings.user', 'username');
+
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    res.json(tournament);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tournament', error: error.message });
+  }
+});
+
+router.post('/tournaments/:id/join', isAuthenticated, async (req, res) => {
+  try {
+    const result = await tournaments.joinTournament(req.params.id, req.user);
+
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    res.json(result.tournament);
+  } catch (error) {
+    res.status(500).json({ message: 'Error joining tournament', error: error.message });
+  }
+});
+
 // Transaction Routes
 router.get('/transactions', isAuthenticated, async (req, res) => {
   try {
@@ -319,13 +973,25 @@ router.get('/admin/stats', isAdmin, async (req, res) => {
           _id: '$type',
           total: { $sum: '$amount' }
         }}
+      ]),
+      Transaction.aggregate([
+        { $match: { type: 'commission' } },
+        { $group: {
+          _id: null,
+          total: { $sum: '$amount' },
+          matches: { $sum: 1 }
+        }}
       ])
     ]);
 
     res.json({
       totalUsers: stats[0],
       pendingRequests: stats[1],
-      financialStats: stats[2]
+      financialStats: stats[2],
+      commission: {
+        total: stats[3][0]?.total || 0,
+        matches: stats[3][0]?.matches || 0
+      }
     });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching admin stats', error: error.message });
@@ -447,6 +1113,240 @@ router.post('/admin/users/:id/unblock', isAdmin, async (req, res) => {
   }
 });
 
+// Without hours the ban lasts until it is lifted
+router.post('/admin/users/:id/chat-ban', isAdmin, async (req, res) => {
+  try {
+    const { hours, reason } = req.body;
+
+    if (hours !== undefined && !(Number(hours) > 0)) {
+      return res.status(400).json({ message: 'hours must be a positive number' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        chatBanned: true,
+        chatBannedUntil: hours !== undefined ? new Date(Date.now() + Number(hours) * 60 * 60 * 1000) : null,
+        chatBanReason: reason
+      },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Error banning user from chat', error: error.message });
+  }
+});
+
+router.post('/admin/users/:id/chat-unban', isAdmin, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { chatBanned: false, chatBannedUntil: null, chatBanReason: null },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Error lifting chat ban', error: error.message });
+  }
+});
+
+// Matches whose chat has been reported, most recently reported first
+router.get('/admin/chat-reports', isAdmin, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = { 'chatReports.0': { $exists: true } };
+
+    const [matches, total] = await Promise.all([
+      GameMatch.find(query)
+        .sort({ 'chatReports.createdAt': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('players chatReports status startTime endTime')
+        .populate('players.user', 'username')
+        .populate('chatReports.user', 'username'),
+      GameMatch.countDocuments(query)
+    ]);
+
+    res.json({
+      matches,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching chat reports', error: error.message });
+  }
+});
+
+router.get('/admin/matches/:id/chat', isAdmin, async (req, res) => {
+  try {
+    const match = await GameMatch.findById(req.params.id)
+      .select('players chat chatReports status startTime endTime')
+      .populate('players.user', 'username email chatBanned chatBannedUntil')
+      .populate('chat.user', 'username')
+      .populate('chatReports.user', 'username');
+
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    res.json({
+      matchId: match._id,
+      status: match.status,
+      players: match.players,
+      chat: match.chat,
+      reports: match.chatReports,
+      startTime: match.startTime,
+      endTime: match.endTime
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching chat log', error: error.message });
+  }
+});
+
+// Admin Tournament Routes
+router.post('/admin/tournaments', isAdmin, async (req, res) => {
+  try {
+    const {
+      name,
+      format,
+      variant = rules.DEFAULT_VARIANT,
+      timeControl = '10+0',
+      entryFee = 0,
+      minPlayers,
+      maxPlayers,
+      totalRounds,
+      registrationOpensAt,
+      registrationClosesAt,
+      prizeDistribution
+    } = req.body;
+
+    if (!name || !['knockout', 'swiss'].includes(format)) {
+      return res.status(400).json({ message: 'Name and a format (knockout or swiss) are required' });
+    }
+
+    if (!rules.getVariant(variant)) {
+      return res.status(400).json({ message: 'Invalid variant' });
+    }
+
+    if (!TIME_CONTROLS.includes(timeControl)) {
+      return res.status(400).json({ message: 'Invalid time control' });
+    }
+
+    if (!registrationClosesAt || !(new Date(registrationClosesAt) > new Date())) {
+      return res.status(400).json({ message: 'Registration must close in the future' });
+    }
+
+    const isValidDistribution = prizeDistribution === undefined || (
+      Array.isArray(prizeDistribution) &&
+      prizeDistribution.every(percent => typeof percent === 'number' && percent >= 0) &&
+      prizeDistribution.reduce((sum, percent) => sum + percent, 0) <= 100
+    );
+    if (!isValidDistribution) {
+      return res.status(400).json({ message: 'Prize distribution must be percentages adding up to at most 100' });
+    }
+
+    const tournament = await Tournament.create({
+      name,
+      format,
+      variant,
+      timeControl,
+      entryFee,
+      minPlayers,
+      maxPlayers,
+      totalRounds: format === 'swiss' ? totalRounds : undefined,
+      registrationOpensAt,
+      registrationClosesAt,
+      prizeDistribution,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(tournament);
+  } catch (error) {
+    res.status(500).json({ message: 'Error creating tournament', error: error.message });
+  }
+});
+
+router.get('/admin/tournaments', isAdmin, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+
+    const list = await Tournament.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-rounds')
+      .populate('createdBy', 'username');
+
+    const total = await Tournament.countDocuments(query);
+
+    res.json({
+      tournaments: list,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tournaments', error: error.message });
+  }
+});
+
+// Full detail: every pairing with its match, and the money moved for the tournament
+router.get('/admin/tournaments/:id', isAdmin, async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id)
+      .populate('players.user', 'username email')
+      .populate('rounds.pairings.players', 'username')
+      .populate('rounds.pairings.winner', 'username')
+      .populate('rounds.pairings.match', 'status result winner startTime endTime')
+      .populate('standings.user', 'username')
+      .populate('createdBy', 'username');
+
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const transactions = await Transaction.find({ relatedTournament: tournament._id })
+      .sort({ createdAt: 1 })
+      .populate('user', 'username');
+
+    res.json({ tournament, transactions });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tournament', error: error.message });
+  }
+});
+
+router.post('/admin/tournaments/:id/cancel', isAdmin, async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({ message: 'Tournament not found' });
+    }
+
+    const cancelled = await tournaments.cancelTournament(tournament._id, req.body.reason || 'Cancelled by an administrator');
+    if (!cancelled) {
+      return res.status(400).json({ message: 'Tournament is already over' });
+    }
+
+    res.json(cancelled);
+  } catch (error) {
+    res.status(500).json({ message: 'Error cancelling tournament', error: error.message });
+  }
+});
+
 // Password Reset Routes (New)
 const generateResetCode = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
@@ -0,0 +1,411 @@
+// Draughts rule variants and move generation used by the game server
+
+const VARIANTS = {
+  // Flying kings, men capture backward, promotion only when the move ends on the last row,
+  // the sequence taking the most pieces is compulsory
+  brazilian: {
+    name: 'brazilian',
+    boardSize: 8,
+    pieceRows: 3,
+    flyingKings: true,
+    menCaptureBackward: true,
+    promoteDuringCapture: false,
+    majorityCapture: true,
+    kingMoveDrawLimit: 20
+  },
+  // Short kings, men capture forward only
+  american: {
+    name: 'american',
+    boardSize: 8,
+    pieceRows: 3,
+    flyingKings: false,
+    menCaptureBackward: false,
+    promoteDuringCapture: false,
+    majorityCapture: false,
+    kingMoveDrawLimit: 40
+  },
+  // A man reaching the last row mid-capture is crowned and keeps capturing as a king
+  russian: {
+    name: 'russian',
+    boardSize: 8,
+    pieceRows: 3,
+    flyingKings: true,
+    menCaptureBackward: true,
+    promoteDuringCapture: true,
+    majorityCapture: false,
+    kingMoveDrawLimit: 15
+  },
+  // Brazilian rules on a 10x10 board with 20 pieces each
+  international: {
+    name: 'international',
+    boardSize: 10,
+    pieceRows: 4,
+    flyingKings: true,
+    menCaptureBackward: true,
+    promoteDuringCapture: false,
+    majorityCapture: true,
+    kingMoveDrawLimit: 25
+  }
+};
+
+const DEFAULT_VARIANT = 'brazilian';
+
+// kingMoveDrawLimit is the number of moves each side may make with kings only, without
+// capturing, before the game is drawn
+
+const DIAGONALS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+const getVariant = (name = DEFAULT_VARIANT) => {
+  return Object.prototype.hasOwnProperty.call(VARIANTS, name) ? VARIANTS[name] : null;
+};
+
+const isKing = (piece) => piece === piece.toUpperCase();
+
+// Black starts at the bottom and moves up, red starts at the top and moves down
+const forwardDirection = (playerColor) => (playerColor === 'b' ? -1 : 1);
+
+const lastRowFor = (board, playerColor) => (playerColor === 'b' ? 0 : board.length - 1);
+
+const isInside = (board, row, col) => row >= 0 && row < board.length && col >= 0 && col < board.length;
+
+const createInitialBoard = (variant) => {
+  const size = variant.boardSize;
+  const board = Array(size).fill(null).map(() => Array(size).fill(null));
+
+  // Place black pieces (b)
+  for (let row = size - variant.pieceRows; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if ((row + col) % 2 === 1) {
+        board[row][col] = 'b';
+      }
+    }
+  }
+
+  // Place red pieces (r)
+  for (let row = 0; row < variant.pieceRows; row++) {
+    for (let col = 0; col < size; col++) {
+      if ((row + col) % 2 === 1) {
+        board[row][col] = 'r';
+      }
+    }
+  }
+
+  return board;
+};
+
+// Checks that a board sent by a client has the variant's size and only holds pieces on dark squares
+const isValidBoard = (board, variant) => {
+  const size = variant.boardSize;
+  if (!Array.isArray(board) || board.length !== size) return false;
+
+  return board.every((row, rowIndex) =>
+    Array.isArray(row) && row.length === size &&
+    row.every((piece, col) =>
+      piece === null || (['b', 'B', 'r', 'R'].includes(piece) && (rowIndex + col) % 2 === 1)
+    )
+  );
+};
+
+const calculateGameStats = (board) => {
+  const stats = {
+    black_pieces_count: 0,
+    black_kings_count: 0,
+    red_pieces_count: 0,
+    red_kings_count: 0
+  };
+
+  for (const row of board) {
+    for (const piece of row) {
+      if (piece === 'b') stats.black_pieces_count++;
+      else if (piece === 'B') stats.black_kings_count++;
+      else if (piece === 'r') stats.red_pieces_count++;
+      else if (piece === 'R') stats.red_kings_count++;
+    }
+  }
+
+  return stats;
+};
+
+const samePosition = (a, b) => a.row === b.row && a.col === b.col;
+
+// Single jumps available to `piece` standing on (row, col). Pieces already taken in the
+// current sequence stay on the board until it ends and can be neither jumped again nor passed.
+const findCaptureHops = (board, row, col, piece, variant, captured = []) => {
+  const playerColor = piece.toLowerCase();
+  const isTaken = (r, c) => captured.some(pos => pos.row === r && pos.col === c);
+  const hops = [];
+
+  if (isKing(piece) && variant.flyingKings) {
+    for (const [rowDir, colDir] of DIAGONALS) {
+      let r = row + rowDir;
+      let c = col + colDir;
+      let opponentPos = null;
+
+      while (isInside(board, r, c)) {
+        if (board[r][c] !== null) {
+          if (opponentPos || isTaken(r, c) || board[r][c].toLowerCase() === playerColor) break;
+          opponentPos = { row: r, col: c };
+        } else if (opponentPos) {
+          hops.push({
+            from: { row, col },
+            to: { row: r, col: c },
+            captured: opponentPos
+          });
+        }
+        r += rowDir;
+        c += colDir;
+      }
+    }
+
+    return hops;
+  }
+
+  const forward = forwardDirection(playerColor);
+  const directions = isKing(piece) || variant.menCaptureBackward
+    ? DIAGONALS
+    : DIAGONALS.filter(([rowDir]) => rowDir === forward);
+
+  for (const [rowDir, colDir] of directions) {
+    const jumpRow = row + rowDir;
+    const jumpCol = col + colDir;
+    const newRow = row + rowDir * 2;
+    const newCol = col + colDir * 2;
+
+    if (isInside(board, newRow, newCol) && board[newRow][newCol] === null) {
+      const jumpedPiece = board[jumpRow][jumpCol];
+
+      if (jumpedPiece && !isTaken(jumpRow, jumpCol) && jumpedPiece.toLowerCase() !== playerColor) {
+        hops.push({
+          from: { row, col },
+          to: { row: newRow, col: newCol },
+          captured: { row: jumpRow, col: jumpCol }
+        });
+      }
+    }
+  }
+
+  return hops;
+};
+
+// Complete capture sequences for the piece on (row, col). Each entry carries the full
+// landing path and the captured squares in order; a sequence must be played to the end.
+const findCapturesForPiece = (board, row, col, variant) => {
+  const piece = board[row][col];
+  if (!piece) return [];
+
+  const playerColor = piece.toLowerCase();
+  const lastRow = lastRowFor(board, playerColor);
+  const working = board.map(r => [...r]);
+  working[row][col] = null;
+
+  const sequences = [];
+  const crown = (current, square) => (
+    !isKing(current) && variant.promoteDuringCapture && square.row === lastRow ? current.toUpperCase() : current
+  );
+
+  const extend = (path, captured, current) => {
+    const position = path[path.length - 1];
+    const hops = findCaptureHops(working, position.row, position.col, current, variant, captured);
+
+    if (hops.length === 0) {
+      if (captured.length > 0) {
+        sequences.push({
+          from: path[0],
+          to: position,
+          path,
+          captured,
+          promoted: !isKing(piece) && (isKing(current) || position.row === lastRow)
+        });
+      }
+      return;
+    }
+
+    // A flying king must land on a square from which it can keep capturing, when one exists
+    const continuing = hops.filter(hop =>
+      findCaptureHops(working, hop.to.row, hop.to.col, crown(current, hop.to), variant, [...captured, hop.captured]).length > 0
+    );
+    const candidates = hops.filter(hop =>
+      !continuing.some(other => samePosition(other.captured, hop.captured)) || continuing.includes(hop)
+    );
+
+    for (const hop of candidates) {
+      extend([...path, hop.to], [...captured, hop.captured], crown(current, hop.to));
+    }
+  };
+
+  extend([{ row, col }], [], piece);
+  return sequences;
+};
+
+const findRegularMoves = (board, row, col, variant) => {
+  const piece = board[row][col];
+  if (!piece) return [];
+
+  const moves = [];
+  const playerColor = piece.toLowerCase();
+
+  if (isKing(piece)) {
+    // Flying kings slide any distance, short kings step one square
+    for (const [rowDir, colDir] of DIAGONALS) {
+      let r = row + rowDir;
+      let c = col + colDir;
+
+      while (isInside(board, r, c) && board[r][c] === null) {
+        moves.push({
+          from: { row, col },
+          to: { row: r, col: c }
+        });
+        if (!variant.flyingKings) break;
+        r += rowDir;
+        c += colDir;
+      }
+    }
+
+    return moves;
+  }
+
+  const forward = forwardDirection(playerColor);
+  for (const colDiff of [-1, 1]) {
+    const newRow = row + forward;
+    const newCol = col + colDiff;
+
+    if (isInside(board, newRow, newCol) && board[newRow][newCol] === null) {
+      moves.push({
+        from: { row, col },
+        to: { row: newRow, col: newCol }
+      });
+    }
+  }
+
+  return moves;
+};
+
+// Capture sequences for every piece of one side. Under the majority rule only the
+// sequences taking the most pieces are allowed.
+const findAllCaptures = (board, playerColor, variant) => {
+  const captures = [];
+
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board.length; col++) {
+      const piece = board[row][col];
+      if (piece && piece.toLowerCase() === playerColor) {
+        captures.push(...findCapturesForPiece(board, row, col, variant));
+      }
+    }
+  }
+
+  if (!variant.majorityCapture) return captures;
+
+  const longest = Math.max(0, ...captures.map(capture => capture.captured.length));
+  return captures.filter(capture => capture.captured.length === longest);
+};
+
+// Every move the side to play may make; captures are mandatory
+const findLegalMoves = (board, playerColor, variant) => {
+  const captures = findAllCaptures(board, playerColor, variant);
+  if (captures.length > 0) return captures;
+
+  const moves = [];
+  for (let row = 0; row < board.length; row++) {
+    for (let col = 0; col < board.length; col++) {
+      const piece = board[row][col];
+      if (piece && piece.toLowerCase() === playerColor) {
+        moves.push(...findRegularMoves(board, row, col, variant));
+      }
+    }
+  }
+
+  return moves.map(move => ({
+    ...move,
+    path: [move.from, move.to],
+    captured: [],
+    promoted: !isKing(board[move.from.row][move.from.col]) && move.to.row === lastRowFor(board, playerColor)
+  }));
+};
+
+// The legal move played along exactly this path of squares, if there is one
+const findMoveByPath = (moves, path) => {
+  return moves.find(move =>
+    move.path.length === path.length &&
+    move.path.every((square, index) => samePosition(square, path[index]))
+  ) || null;
+};
+
+// Applies a whole legal move (a step or a complete capture sequence) as returned by
+// findLegalMoves. Captured pieces are only lifted once the sequence is over.
+const applyMove = (board, move) => {
+  const { from, to } = move;
+  const piece = board[from.row][from.col];
+  const moveResult = {
+    isCapture: move.captured.length > 0,
+    capturedPieces: move.captured.map(({ row, col }) => ({ row, col, piece: board[row][col] })),
+    promoted: move.promoted
+  };
+
+  for (const { row, col } of move.captured) {
+    board[row][col] = null;
+  }
+
+  board[from.row][from.col] = null;
+  board[to.row][to.col] = move.promoted ? piece.toUpperCase() : piece;
+
+  return moveResult;
+};
+
+// Identifies a position for the repetition rule: the pieces on the board and the side to move
+const getPositionKey = (board, playerColor) => {
+  return `${playerColor}:${board.map(row => row.map(piece => piece || '-').join('')).join('/')}`;
+};
+
+// Plays a list of moves, each given as its path of squares, from the initial position with
+// black moving first. Returns the board after every ply and stops at the first illegal move.
+const replayGame = (variant, paths) => {
+  const initialBoard = createInitialBoard(variant);
+  const board = initialBoard.map(row => [...row]);
+  const plies = [];
+  let playerColor = 'b';
+
+  for (const path of paths) {
+    const move = findMoveByPath(findLegalMoves(board, playerColor, variant), path);
+    if (!move) {
+      return { initialBoard, plies, error: { ply: plies.length + 1, message: 'Illegal move' } };
+    }
+
+    const moveResult = applyMove(board, move);
+    plies.push({
+      ply: plies.length + 1,
+      color: playerColor,
+      path: move.path,
+      capturedPieces: moveResult.capturedPieces,
+      promoted: moveResult.promoted,
+      board: board.map(row => [...row])
+    });
+    playerColor = playerColor === 'b' ? 'r' : 'b';
+  }
+
+  return { initialBoard, plies, error: null };
+};
+
+const isGameOver = (board, playerColor, variant) => {
+  return findLegalMoves(board, playerColor, variant).length === 0;
+};
+
+module.exports = {
+  VARIANTS,
+  DEFAULT_VARIANT,
+  getVariant,
+  isKing,
+  isInside,
+  createInitialBoard,
+  isValidBoard,
+  calculateGameStats,
+  findCapturesForPiece,
+  findRegularMoves,
+  findAllCaptures,
+  findLegalMoves,
+  findMoveByPath,
+  applyMove,
+  getPositionKey,
+  replayGame,
+  isGameOver
+};
@@ -9,6 +9,7 @@ const nodemailer = require('nodemailer');
 const rateLimit = require('express-rate-limit'); // Adicione esta linha
 const routes = require('./routes');
 const GameSocket = require('./gameSocket');
+const { User } = require('./models');
 
 // Initialize Express app
 const app = express();
@@ -129,8 +130,18 @@ app.use((req, res) => {
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
-}).then(() => {
+}).then(async () => {
   console.log('Connected to MongoDB');
+
+  // Commissions are paid into the house account, so it must exist before any game ends
+  try {
+    await User.ensureHouseAccount();
+  } catch (error) {
+    console.error('House account error:', error);
+    process.exit(1);
+  }
+
+  gameSocket.restoreActiveGames();
 }).catch((error) => {
   console.error('MongoDB connection error:', error);
   process.exit(1);
@@ -153,8 +164,21 @@ mongoose.connection.on('reconnected', () => {
 const gameSocket = new GameSocket(server);
 
 // Graceful shutdown
-const gracefulShutdown = async () => {
+const SHUTDOWN_DRAIN_TIMEOUT = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+let isShuttingDown = false;
+let exitCode = 0;
+
+const gracefulShutdown = async (drainTimeout = SHUTDOWN_DRAIN_TIMEOUT) => {
+  // A shutdown already under way keeps going, with the earlier of the two deadlines
+  if (isShuttingDown) {
+    await gameSocket.drain(drainTimeout);
+    return;
+  }
+  isShuttingDown = true;
   console.log('Received shutdown signal. Starting graceful shutdown...');
+
+  // Let running games finish, then cancel and refund the rest
+  await gameSocket.drain(drainTimeout);
   
   // Close Socket.IO connections
   await new Promise(resolve => {
@@ -176,22 +200,24 @@ const gracefulShutdown = async () => {
   await mongoose.connection.close();
   console.log('Database connection closed');
 
-  process.exit(0);
+  process.exit(exitCode);
 };
 
 // Handle shutdown signals
-process.on('SIGTERM', gracefulShutdown);
-process.on('SIGINT', gracefulShutdown);
+process.on('SIGTERM', () => gracefulShutdown());
+process.on('SIGINT', () => gracefulShutdown());
 
 // Unhandled rejection handler
 process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-// Uncaught exception handler
+// Uncaught exception handler. The process is in an unknown state, so games are not given
+// time to finish: they are cancelled and refunded straight away.
 process.on('uncaughtException', (error) => {
   console.error('Uncaught Exception:', error);
-  gracefulShutdown();
+  exitCode = 1;
+  gracefulShutdown(0);
 });
 
 // Start server
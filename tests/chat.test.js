@@ -0,0 +1,31 @@
+const chat = require('../chat');
+
+describe('isQuickPhrase', () => {
+  test('accepts the listed phrases only', () => {
+    expect(chat.isQuickPhrase('goodGame')).toBe(true);
+    expect(chat.isQuickPhrase('constructor')).toBe(false);
+    expect(chat.isQuickPhrase('toString')).toBe(false);
+    expect(chat.isQuickPhrase('')).toBe(false);
+  });
+});
+
+describe('filterMessage', () => {
+  test('masks banned words but not words that contain them', () => {
+    expect(chat.filterMessage('what the Shit')).toBe('what the ****');
+    expect(chat.filterMessage('shitake mushrooms')).toBe('shitake mushrooms');
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('allows five messages per ten seconds', () => {
+    const allow = chat.createRateLimiter();
+    const start = Date.now();
+
+    for (let i = 0; i < 5; i++) {
+      expect(allow('a', start + i)).toBe(true);
+    }
+    expect(allow('a', start + 10)).toBe(false);
+    expect(allow('b', start + 10)).toBe(true);
+    expect(allow('a', start + 10 * 1000)).toBe(true);
+  });
+});
@@ -0,0 +1,28 @@
+const rules = require('../rules');
+const engine = require('../engine');
+const engineWorker = require('../engineWorker');
+
+describe('engineWorker', () => {
+  const variant = rules.VARIANTS.brazilian;
+  const board = rules.createInitialBoard(variant);
+
+  test('chooses a legal move on a worker thread', async () => {
+    const move = await engineWorker.chooseMove(board, 'b', variant, 'beginner');
+    const legalMoves = rules.findLegalMoves(board, 'b', variant);
+
+    expect(rules.findMoveByPath(legalMoves, move.path)).not.toBeNull();
+  });
+
+  test('finds the same line as the engine for a fixed depth', async () => {
+    const level = { ...engine.DIFFICULTY_LEVELS.easy, timeLimit: 10000 };
+    const expected = engine.findBestLine(board, 'r', variant, level);
+    const line = await engineWorker.findBestLine(board, 'r', variant, 'easy');
+
+    expect(line.score).toBe(expected.score);
+    expect(line.depth).toBe(expected.depth);
+  });
+
+  test('reports search errors back to the caller', async () => {
+    await expect(engineWorker.chooseMove(board, 'b', variant, 'unknown')).rejects.toThrow();
+  });
+});
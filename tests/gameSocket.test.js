@@ -0,0 +1,306 @@
+const rules = require('../rules');
+const { GameMatch } = require('../models');
+const GameSocket = require('../gameSocket');
+const { recordDrawProgress, stakeTier, ratingRange, calculateRake } = GameSocket;
+
+// A server without sockets, for the parts of a game that only need its state. What it
+// sends to rooms is kept in `sent`.
+const createServer = () => {
+  const server = Object.create(GameSocket.prototype);
+  server.sent = [];
+  server.io = { to: (room) => ({ emit: (event, payload) => server.sent.push({ room, event, payload }) }) };
+  for (const name of ['activeGames', 'clockTimers', 'disconnectTimers', 'matchWrites', 'playerSockets']) {
+    server[name] = new Map();
+  }
+  return server;
+};
+
+// A game between 'a' (black, on move) and 'b' with both clocks running from the start
+const startGame = (server, timeControl) => {
+  const gameState = server.createGameState({
+    roomCode: 'room',
+    timeControl,
+    players: [{ id: 'a', username: 'a' }, { id: 'b', username: 'b' }]
+  });
+  const minutes = Number(timeControl.split('+')[0]);
+  gameState.clocks = { a: minutes * 60 * 1000, b: minutes * 60 * 1000 };
+  gameState.currentTurn = 'a';
+
+  server.activeGames.set(gameState.roomCode, gameState);
+  server.startClock(gameState);
+  return gameState;
+};
+
+// A Brazilian game with a black and a red king in opposite corners and a man of each side
+const createGameState = () => {
+  const board = Array(8).fill(null).map(() => Array(8).fill(null));
+  board[7][0] = 'B';
+  board[0][7] = 'R';
+  board[5][2] = 'b';
+  board[2][5] = 'r';
+  return { variant: 'brazilian', board, positionCounts: {}, kingOnlyMoves: 0 };
+};
+
+// Moves a piece on the board, then records it as the game would
+const play = (gameState, [fromRow, fromCol], [toRow, toCol], { isCapture = false, promoted = false } = {}) => {
+  const piece = gameState.board[fromRow][fromCol];
+  gameState.board[fromRow][fromCol] = null;
+  gameState.board[toRow][toCol] = promoted ? piece.toUpperCase() : piece;
+
+  const nextColor = piece.toLowerCase() === 'b' ? 'r' : 'b';
+  const move = { from: { row: fromRow, col: fromCol }, to: { row: toRow, col: toCol }, promoted };
+  return recordDrawProgress(gameState, move, isCapture, nextColor);
+};
+
+// Both kings step out of their corner and back
+const shuffleKings = (gameState) => [
+  play(gameState, [7, 0], [6, 1]),
+  play(gameState, [0, 7], [1, 6]),
+  play(gameState, [6, 1], [7, 0]),
+  play(gameState, [1, 6], [0, 7])
+];
+
+describe('recordDrawProgress', () => {
+  test('draws when the same position comes up a third time with the same side to move', () => {
+    const gameState = createGameState();
+
+    expect(shuffleKings(gameState)).toEqual([null, null, null, null]);
+    expect(shuffleKings(gameState)).toEqual([null, null, null, null]);
+
+    // The position after the first move comes back after the fifth and the ninth
+    expect(play(gameState, [7, 0], [6, 1])).toBe('repetition');
+    expect(gameState.kingOnlyMoves).toBe(9);
+  });
+
+  test('a man move starts both counts again', () => {
+    const gameState = createGameState();
+    shuffleKings(gameState);
+    shuffleKings(gameState);
+
+    play(gameState, [5, 2], [4, 3]);
+    expect(gameState.kingOnlyMoves).toBe(0);
+    expect(Object.values(gameState.positionCounts)).toEqual([1]);
+  });
+
+  test('a promotion is not a king move', () => {
+    const gameState = createGameState();
+    gameState.board[1][2] = 'b';
+    shuffleKings(gameState);
+
+    play(gameState, [1, 2], [0, 1], { promoted: true });
+    expect(gameState.kingOnlyMoves).toBe(0);
+  });
+
+  test('draws after the variant limit of king moves per side without a capture', () => {
+    const gameState = createGameState();
+    gameState.kingOnlyMoves = rules.VARIANTS.brazilian.kingMoveDrawLimit * 2 - 2;
+
+    expect(play(gameState, [7, 0], [6, 1])).toBeNull();
+    expect(play(gameState, [0, 7], [1, 6])).toBe('kingMoves');
+  });
+
+  test('a king capture starts the king move count again', () => {
+    const gameState = createGameState();
+    gameState.kingOnlyMoves = 30;
+
+    play(gameState, [7, 0], [4, 3], { isCapture: true });
+    expect(gameState.kingOnlyMoves).toBe(0);
+  });
+});
+
+describe('stakeTier', () => {
+  test('puts a bet in the highest tier it reaches', () => {
+    expect(stakeTier(0)).toBe(0);
+    expect(stakeTier(1)).toBe(1);
+    expect(stakeTier(7.5)).toBe(5);
+    expect(stakeTier(10)).toBe(10);
+    expect(stakeTier(1000)).toBe(250);
+  });
+
+  test('bets below the lowest tier join it', () => {
+    expect(stakeTier(0.5)).toBe(1);
+  });
+});
+
+describe('ratingRange', () => {
+  test('starts at 100 points and widens by 5 a second up to 800', () => {
+    const joinedAt = Date.now();
+
+    expect(ratingRange({ joinedAt }, joinedAt)).toBe(100);
+    expect(ratingRange({ joinedAt }, joinedAt + 30 * 1000)).toBe(250);
+    expect(ratingRange({ joinedAt }, joinedAt + 10 * 60 * 1000)).toBe(800);
+  });
+});
+
+describe('calculateRake', () => {
+  test('takes 5% of the pot by default, rounded to the cent', () => {
+    expect(calculateRake(20)).toBe(1);
+    expect(calculateRake(0.33)).toBe(0.02);
+    expect(calculateRake(0)).toBe(0);
+  });
+
+  test('keeps the fee between the minimum and the cap, and never above the pot', () => {
+    const env = { ...process.env };
+    Object.assign(process.env, { RAKE_PERCENT: '10', RAKE_MIN: '0.5', RAKE_CAP: '3' });
+
+    jest.isolateModules(() => {
+      const { calculateRake: rake } = require('../gameSocket');
+      expect(rake(2)).toBe(0.5);
+      expect(rake(10)).toBe(1);
+      expect(rake(100)).toBe(3);
+      expect(rake(0.2)).toBe(0.2);
+    });
+
+    process.env = env;
+  });
+});
+
+describe('clocks', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('the player on move loses on time when their clock runs out', () => {
+    const server = createServer();
+    server.handleGameOver = jest.fn();
+    const gameState = startGame(server, '1+0');
+
+    jest.advanceTimersByTime(60 * 1000 - 1);
+    expect(server.getRemainingTime(gameState, 'a')).toBe(1);
+    expect(server.handleGameOver).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(server.handleGameOver).toHaveBeenCalledWith(gameState, 'b', 'timeout');
+    expect(gameState.clocks.a).toBe(0);
+  });
+
+  test('pressing the clock charges the time used and adds the increment', () => {
+    const server = createServer();
+    const gameState = startGame(server, '3+2');
+
+    jest.advanceTimersByTime(10 * 1000);
+    server.pressClock(gameState);
+    expect(gameState.clocks.a).toBe(3 * 60 * 1000 - 10 * 1000 + 2 * 1000);
+    expect(gameState.clocks.b).toBe(3 * 60 * 1000);
+    server.stopClock(gameState);
+  });
+
+  test('a paused clock keeps its time and does not fall', () => {
+    const server = createServer();
+    server.handleGameOver = jest.fn();
+    const gameState = startGame(server, '1+0');
+
+    jest.advanceTimersByTime(10 * 1000);
+    server.pauseClock(gameState);
+    jest.advanceTimersByTime(5 * 60 * 1000);
+
+    expect(gameState.clocks.a).toBe(50 * 1000);
+    expect(server.getRemainingTime(gameState, 'a')).toBe(50 * 1000);
+    expect(server.handleGameOver).not.toHaveBeenCalled();
+  });
+});
+
+describe('takeBackMove', () => {
+  // The stored match keeps the moves that reached the database, in order
+  let storedMoves;
+  beforeEach(() => {
+    jest.useFakeTimers();
+    storedMoves = [];
+    jest.spyOn(GameMatch, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      if (update.$push) storedMoves.push(update.$push.moves);
+    });
+    jest.spyOn(GameMatch, 'findById').mockImplementation(async () => ({ moves: storedMoves, save: async () => {} }));
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  const playFirstMove = (server, gameState, playerId) => {
+    const color = playerId === 'a' ? 'b' : 'r';
+    const [move] = rules.findLegalMoves(gameState.board, color, rules.getVariant(gameState.variant));
+    return server.applyGameMove(gameState, playerId, move);
+  };
+
+  test('undoes the player\'s last move and the reply to it', async () => {
+    const server = createServer();
+    const gameState = startGame(server, '10+0');
+    const initialBoard = gameState.board.map(row => [...row]);
+
+    await playFirstMove(server, gameState, 'a');
+    await playFirstMove(server, gameState, 'b');
+    await server.takeBackMove(gameState, 'a');
+
+    expect(gameState.board).toEqual(initialBoard);
+    expect(gameState.currentTurn).toBe('a');
+    expect(gameState.moveHistory).toHaveLength(0);
+    expect(storedMoves).toHaveLength(0);
+    expect(server.sent.find(s => s.event === 'takebackApplied').payload.plies).toBe(2);
+    server.stopClock(gameState);
+  });
+
+  test('waits for the move it undoes to be saved', async () => {
+    const server = createServer();
+    const gameState = startGame(server, '10+0');
+    await playFirstMove(server, gameState, 'a');
+
+    let saveReply;
+    GameMatch.findByIdAndUpdate.mockImplementationOnce((id, update) => new Promise(resolve => {
+      saveReply = () => resolve(storedMoves.push(update.$push.moves));
+    }));
+    const reply = playFirstMove(server, gameState, 'b');
+    const takeback = server.takeBackMove(gameState, 'b');
+
+    await Promise.resolve();
+    saveReply();
+    await Promise.all([reply, takeback]);
+
+    expect(storedMoves).toHaveLength(1);
+    expect(storedMoves[0].player).toBe('a');
+    server.stopClock(gameState);
+  });
+});
+
+describe('snapshots', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('leave out derived state and restore a game that can still take back moves', async () => {
+    const saved = [];
+    jest.spyOn(GameMatch, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      saved.push(JSON.parse(JSON.stringify(update.$set.snapshot)));
+    });
+
+    const server = createServer();
+    const gameState = startGame(server, '10+0');
+    gameState.matchId = 'match';
+    const [move] = rules.findLegalMoves(gameState.board, 'b', rules.getVariant(gameState.variant));
+    await server.applyGameMove(gameState, 'a', move);
+    server.stopClock(gameState);
+
+    const snapshot = saved.pop();
+    expect(snapshot).not.toHaveProperty('spectatorView');
+    expect(snapshot).not.toHaveProperty('gameStats');
+    expect(snapshot.moveHistory[0].board[0]).toBe('-r-r-r-r');
+
+    jest.spyOn(GameMatch, 'find')
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ _id: 'match', snapshot }]);
+    jest.spyOn(GameMatch, 'findById').mockResolvedValue({ moves: [move], save: async () => {} });
+
+    const restarted = createServer();
+    restarted.io.sockets = { sockets: new Map() };
+    await restarted.restoreActiveGames();
+
+    const restored = restarted.activeGames.get('room');
+    expect(restored.board).toEqual(gameState.board);
+    expect(restored.spectatorView.board).toEqual(gameState.board);
+    expect(restored.gameStats).toEqual(gameState.gameStats);
+
+    await restarted.takeBackMove(restored, 'a');
+    expect(restored.board).toEqual(rules.createInitialBoard(rules.getVariant('brazilian')));
+    restarted.stopClock(restored);
+  });
+});
@@ -0,0 +1,32 @@
+const leaderboard = require('../leaderboard');
+
+// A Wednesday evening, already Thursday east of UTC
+const now = new Date('2024-05-15T22:30:00Z');
+
+describe('periodStart', () => {
+  test('daily starts at midnight UTC', () => {
+    expect(leaderboard.periodStart('daily', now)).toEqual(new Date('2024-05-15T00:00:00Z'));
+  });
+
+  test('weekly starts on the Monday before', () => {
+    expect(leaderboard.periodStart('weekly', now)).toEqual(new Date('2024-05-13T00:00:00Z'));
+  });
+
+  test('a Sunday still belongs to the week that started on Monday', () => {
+    const sunday = new Date('2024-05-19T12:00:00Z');
+    expect(leaderboard.periodStart('weekly', sunday)).toEqual(new Date('2024-05-13T00:00:00Z'));
+  });
+
+  test('a week can start in the previous year', () => {
+    const newYear = new Date('2025-01-01T08:00:00Z');
+    expect(leaderboard.periodStart('weekly', newYear)).toEqual(new Date('2024-12-30T00:00:00Z'));
+  });
+
+  test('monthly starts on the first of the month', () => {
+    expect(leaderboard.periodStart('monthly', now)).toEqual(new Date('2024-05-01T00:00:00Z'));
+  });
+
+  test('all time has no start', () => {
+    expect(leaderboard.periodStart('allTime', now)).toBeNull();
+  });
+});
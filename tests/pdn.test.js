@@ -0,0 +1,102 @@
+const rules = require('../rules');
+const pdn = require('../pdn');
+
+// Plays up to `plies` plies, cycling through the legal moves so the game soon reaches
+// captures, and returns the moves as stored on a match
+const playOpening = (variant, plies) => {
+  const board = rules.createInitialBoard(variant);
+  const moves = [];
+  let playerColor = 'b';
+
+  for (let i = 0; i < plies; i++) {
+    const legalMoves = rules.findLegalMoves(board, playerColor, variant);
+    if (legalMoves.length === 0) break;
+
+    const move = legalMoves[i % legalMoves.length];
+    rules.applyMove(board, move);
+    moves.push({ from: move.from, to: move.to, path: move.path, captured: move.captured });
+    playerColor = playerColor === 'b' ? 'r' : 'b';
+  }
+
+  return moves;
+};
+
+const matchFor = (variant, moves) => ({
+  variant: variant.name,
+  players: [{ user: { _id: 'a', username: 'alice' } }, { user: { _id: 'b', username: 'bob' } }],
+  winner: { _id: 'a' },
+  result: 'win',
+  isPrivate: false,
+  betAmount: 10,
+  timeControl: '5+3',
+  startTime: new Date(2024, 0, 15),
+  moves
+});
+
+describe('square numbers', () => {
+  test.each(Object.keys(rules.VARIANTS))('%s numbering maps every dark square both ways', (name) => {
+    const variant = rules.getVariant(name);
+    const total = (variant.boardSize * variant.boardSize) / 2;
+
+    for (let square = 1; square <= total; square++) {
+      const position = pdn.fromSquareNumber(variant, square);
+      expect((position.row + position.col) % 2).toBe(1);
+      expect(pdn.toSquareNumber(variant, position)).toBe(square);
+    }
+  });
+
+  test('square 1 is top left, except in American checkers where it is on the first player\'s side', () => {
+    expect(pdn.fromSquareNumber(rules.VARIANTS.international, 1)).toEqual({ row: 0, col: 1 });
+    expect(pdn.fromSquareNumber(rules.VARIANTS.brazilian, 1)).toEqual({ row: 0, col: 1 });
+    expect(pdn.fromSquareNumber(rules.VARIANTS.american, 1)).toEqual({ row: 7, col: 6 });
+  });
+});
+
+describe('export and import', () => {
+  test.each(Object.keys(rules.VARIANTS))('a %s game survives the round trip', (name) => {
+    const variant = rules.getVariant(name);
+    const moves = playOpening(variant, 40);
+    const imported = pdn.importPdn(pdn.exportPdn(matchFor(variant, moves)));
+
+    expect(imported.error).toBeUndefined();
+    expect(imported.variant).toBe(name);
+    expect(imported.replay.error).toBeNull();
+    expect(imported.replay.plies.map(ply => ply.path)).toEqual(moves.map(move => move.path));
+  });
+
+  test('headers carry the players, result and settings', () => {
+    const variant = rules.VARIANTS.brazilian;
+    const text = pdn.exportPdn(matchFor(variant, playOpening(variant, 4)));
+
+    expect(text).toContain('[White "alice"]');
+    expect(text).toContain('[Black "bob"]');
+    expect(text).toContain('[Result "2-0"]');
+    expect(text).toContain('[GameType "26"]');
+    expect(text).toContain('[Date "2024.01.15"]');
+    expect(text.split('\n').every(line => line.length < 80)).toBe(true);
+  });
+
+  test('American results are written with White, the second player, first', () => {
+    const variant = rules.VARIANTS.american;
+    const text = pdn.exportPdn(matchFor(variant, playOpening(variant, 4)));
+
+    expect(text).toContain('[White "bob"]');
+    expect(text).toContain('[Result "0-1"]');
+  });
+
+  test('captures given by their first and last squares only are accepted', () => {
+    const variant = rules.VARIANTS.brazilian;
+    const imported = pdn.importPdn('[GameType "26"]\n1. 22-17 11-15 2. 17-13 15-19 3. 24x15 *');
+
+    expect(imported.error).toBeUndefined();
+    expect(imported.replay.plies).toHaveLength(5);
+    expect(imported.replay.plies[4].capturedPieces).toHaveLength(1);
+    expect(imported.variant).toBe(variant.name);
+  });
+
+  test('illegal and unreadable moves are reported', () => {
+    expect(pdn.importPdn('1. 22-13 *').error).toBe('Illegal move "22-13" at ply 1');
+    expect(pdn.importPdn('1. e2-e4 *').error).toBe('Unreadable move "e2-e4"');
+    expect(pdn.importPdn('1. 22-99 *').error).toBe('Square out of range in move "22-99"');
+  });
+});
@@ -0,0 +1,75 @@
+const rating = require('../rating');
+
+const now = new Date('2024-06-01T00:00:00Z');
+const daysBefore = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+describe('rateGame', () => {
+  test('two new players move apart by the same amount', () => {
+    const [winner, loser] = rating.rateGame({}, {}, 1, now);
+
+    expect(winner.rating).toBeCloseTo(1662.21, 2);
+    expect(loser.rating).toBeCloseTo(1337.79, 2);
+    expect(winner.deviation).toBeCloseTo(290.23, 2);
+    expect(winner.games).toBe(1);
+    expect(winner.lastPlayedAt).toBe(now);
+  });
+
+  test('matches a hand-computed Glicko update against a settled opponent', () => {
+    const player = { rating: 1500, deviation: 200, games: 20, lastPlayedAt: now };
+    const opponent = { rating: 1400, deviation: 30, games: 20, lastPlayedAt: now };
+    const [updated] = rating.rateGame(player, opponent, 1, now);
+
+    expect(updated.rating).toBeCloseTo(1563.43, 2);
+    expect(updated.deviation).toBeCloseTo(175.22, 2);
+  });
+
+  test('a draw between equals leaves the ratings alone and shrinks the deviations', () => {
+    const entry = { rating: 1600, deviation: 100, games: 30, lastPlayedAt: now };
+    const [first, second] = rating.rateGame(entry, entry, 0.5, now);
+
+    expect(first.rating).toBeCloseTo(1600, 6);
+    expect(second.rating).toBeCloseTo(1600, 6);
+    expect(first.deviation).toBeLessThan(100);
+  });
+
+  test('the deviation never drops below the floor', () => {
+    let [entry, opponent] = [{ rating: 1500, deviation: 30, games: 500, lastPlayedAt: now }, {}];
+    for (let i = 0; i < 20; i++) {
+      [entry, opponent] = rating.rateGame(entry, opponent, 0.5, now);
+    }
+
+    expect(entry.deviation).toBe(30);
+  });
+});
+
+describe('currentDeviation', () => {
+  test('grows while a player is idle', () => {
+    const entry = { rating: 1500, deviation: 50, games: 20, lastPlayedAt: daysBefore(30) };
+
+    expect(rating.currentDeviation(entry, now)).toBeGreaterThan(50);
+    expect(rating.currentDeviation(entry, now)).toBeLessThan(rating.DEFAULT_DEVIATION);
+  });
+
+  test('is back to the default after a year without games', () => {
+    const entry = { rating: 1500, deviation: 50, games: 20, lastPlayedAt: daysBefore(365) };
+
+    expect(rating.currentDeviation(entry, now)).toBeCloseTo(rating.DEFAULT_DEVIATION, 6);
+    expect(rating.currentDeviation({ ...entry, lastPlayedAt: daysBefore(1000) }, now)).toBe(rating.DEFAULT_DEVIATION);
+  });
+
+  test('is the stored deviation for players who have never played', () => {
+    expect(rating.currentDeviation({}, now)).toBe(rating.DEFAULT_DEVIATION);
+  });
+});
+
+describe('describe', () => {
+  test('rounds and flags provisional ratings', () => {
+    expect(rating.describe({ rating: 1523.6, deviation: 80.4, games: 9, lastPlayedAt: now }, now)).toEqual({
+      rating: 1524,
+      deviation: 80,
+      games: 9,
+      provisional: true
+    });
+    expect(rating.describe({ rating: 1523.6, deviation: 80.4, games: rating.PROVISIONAL_GAMES, lastPlayedAt: now }, now).provisional).toBe(false);
+  });
+});
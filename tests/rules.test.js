@@ -0,0 +1,146 @@
+const rules = require('../rules');
+
+// An empty board of the variant with the given pieces, as { 'row,col': piece }
+const boardWith = (variant, pieces) => {
+  const board = Array(variant.boardSize).fill(null).map(() => Array(variant.boardSize).fill(null));
+  for (const [square, piece] of Object.entries(pieces)) {
+    const [row, col] = square.split(',').map(Number);
+    board[row][col] = piece;
+  }
+  return board;
+};
+
+const paths = (moves) => moves.map(move => move.path.map(({ row, col }) => [row, col]));
+
+describe('majority capture', () => {
+  // The man on 6,1 can take two pieces, the one on 6,5 only one
+  const pieces = { '6,1': 'b', '5,2': 'r', '3,4': 'r', '6,5': 'b', '5,6': 'r' };
+
+  test('only the sequences taking the most pieces are legal in Brazilian', () => {
+    const board = boardWith(rules.VARIANTS.brazilian, pieces);
+    const moves = rules.findLegalMoves(board, 'b', rules.VARIANTS.brazilian);
+
+    expect(paths(moves)).toEqual([[[6, 1], [4, 3], [2, 5]]]);
+    expect(moves[0].captured).toEqual([{ row: 5, col: 2 }, { row: 3, col: 4 }]);
+  });
+
+  test('any capture is legal in American checkers', () => {
+    const board = boardWith(rules.VARIANTS.american, pieces);
+    const moves = rules.findLegalMoves(board, 'b', rules.VARIANTS.american);
+
+    expect(paths(moves)).toEqual(expect.arrayContaining([
+      [[6, 1], [4, 3], [2, 5]],
+      [[6, 5], [4, 7]]
+    ]));
+    expect(moves).toHaveLength(2);
+  });
+
+  test('a capture sequence cannot be stopped halfway', () => {
+    const board = boardWith(rules.VARIANTS.american, pieces);
+    const moves = rules.findLegalMoves(board, 'b', rules.VARIANTS.american);
+
+    expect(rules.findMoveByPath(moves, [{ row: 6, col: 1 }, { row: 4, col: 3 }])).toBeNull();
+  });
+
+  test('captures are mandatory', () => {
+    const board = boardWith(rules.VARIANTS.brazilian, pieces);
+    const moves = rules.findLegalMoves(board, 'b', rules.VARIANTS.brazilian);
+
+    expect(moves.every(move => move.captured.length > 0)).toBe(true);
+  });
+});
+
+describe('promotion during a capture', () => {
+  // The man on 2,1 reaches the last row on 0,3 with another red piece on the long diagonal
+  const pieces = { '2,1': 'b', '1,2': 'r', '2,5': 'r' };
+
+  test('a Russian man is crowned mid-capture and keeps capturing as a flying king', () => {
+    const variant = rules.VARIANTS.russian;
+    const board = boardWith(variant, pieces);
+    const moves = rules.findLegalMoves(board, 'b', variant);
+
+    expect(paths(moves)).toEqual(expect.arrayContaining([
+      [[2, 1], [0, 3], [3, 6]],
+      [[2, 1], [0, 3], [4, 7]]
+    ]));
+    expect(moves).toHaveLength(2);
+    expect(moves.every(move => move.promoted)).toBe(true);
+
+    rules.applyMove(board, moves[0]);
+    expect(board[moves[0].to.row][moves[0].to.col]).toBe('B');
+    expect(board[1][2]).toBeNull();
+    expect(board[2][5]).toBeNull();
+  });
+
+  test('a Brazilian man stops on the last row and is crowned when the move ends', () => {
+    const variant = rules.VARIANTS.brazilian;
+    const board = boardWith(variant, pieces);
+    const moves = rules.findLegalMoves(board, 'b', variant);
+
+    expect(paths(moves)).toEqual([[[2, 1], [0, 3]]]);
+    expect(moves[0].promoted).toBe(true);
+  });
+});
+
+describe('backward captures', () => {
+  // Red stands behind the black man, from black's point of view
+  const pieces = { '4,3': 'b', '5,4': 'r', '0,7': 'r' };
+
+  test('American men cannot capture backward', () => {
+    const variant = rules.VARIANTS.american;
+    const moves = rules.findLegalMoves(boardWith(variant, pieces), 'b', variant);
+
+    expect(moves.every(move => move.captured.length === 0)).toBe(true);
+    expect(paths(moves)).toEqual(expect.arrayContaining([[[4, 3], [3, 2]], [[4, 3], [3, 4]]]));
+  });
+
+  test('American kings capture backward one square at a time', () => {
+    const variant = rules.VARIANTS.american;
+    const moves = rules.findLegalMoves(boardWith(variant, { ...pieces, '4,3': 'B' }), 'b', variant);
+
+    expect(paths(moves)).toEqual([[[4, 3], [6, 5]]]);
+  });
+
+  test('Brazilian men capture backward', () => {
+    const variant = rules.VARIANTS.brazilian;
+    const moves = rules.findLegalMoves(boardWith(variant, pieces), 'b', variant);
+
+    expect(paths(moves)).toEqual([[[4, 3], [6, 5]]]);
+  });
+});
+
+describe('flying kings', () => {
+  test('a king must land where it can keep capturing', () => {
+    const variant = rules.VARIANTS.brazilian;
+    // After taking 5,2 the king can land on 4,3, 3,4 or 2,5; only 3,4 continues over 2,3
+    const board = boardWith(variant, { '7,0': 'B', '5,2': 'r', '2,3': 'r' });
+    const moves = rules.findLegalMoves(board, 'b', variant);
+
+    expect(moves.length).toBeGreaterThan(0);
+    expect(moves.every(move => move.path[1].row === 3 && move.path[1].col === 4)).toBe(true);
+    expect(moves.every(move => move.captured.length === 2)).toBe(true);
+  });
+});
+
+describe('replayGame', () => {
+  test('stops at the first illegal move', () => {
+    const variant = rules.VARIANTS.brazilian;
+    const { plies, error } = rules.replayGame(variant, [
+      [{ row: 5, col: 0 }, { row: 4, col: 1 }],
+      [{ row: 2, col: 1 }, { row: 4, col: 1 }]
+    ]);
+
+    expect(plies).toHaveLength(1);
+    expect(error).toEqual({ ply: 2, message: 'Illegal move' });
+  });
+});
+
+describe('isInside', () => {
+  test('is false for squares off the board', () => {
+    const board = rules.createInitialBoard(rules.VARIANTS.brazilian);
+
+    expect(rules.isInside(board, 0, 7)).toBe(true);
+    expect(rules.isInside(board, 8, 0)).toBe(false);
+    expect(rules.isInside(board, -1, 3)).toBe(false);
+  });
+});
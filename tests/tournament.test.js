@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { Tournament } = require('../models');
+const tournaments = require('../tournament');
+
+// Players are rated 2000, 1900, ... so their seed follows their index
+const createTournament = (format, playerCount) => new Tournament({
+  name: 'Test cup',
+  format,
+  registrationClosesAt: new Date(),
+  players: Array.from({ length: playerCount }, (_, index) => ({
+    user: new mongoose.Types.ObjectId(),
+    rating: 2000 - index * 100
+  }))
+});
+
+const seedOf = (tournament, userId) => tournament.players.findIndex(p => p.user.equals(userId)) + 1;
+const seedsOf = (tournament, round) => round.pairings.map(pairing => pairing.players.map(id => seedOf(tournament, id)));
+
+describe('seedingOrder', () => {
+  test('keeps the top seeds apart until the final', () => {
+    expect(tournaments.seedingOrder(2)).toEqual([1, 2]);
+    expect(tournaments.seedingOrder(4)).toEqual([1, 4, 2, 3]);
+    expect(tournaments.seedingOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+});
+
+describe('knockout', () => {
+  test('the top seeds get the byes when the field is not a power of two', () => {
+    const tournament = createTournament('knockout', 5);
+    const round = tournaments.startRound(tournament);
+
+    expect(tournaments.totalRounds(tournament)).toBe(3);
+    expect(seedsOf(tournament, round)).toEqual([[1], [4, 5], [2], [3]]);
+    expect(round.pairings.filter(p => p.result === 'bye')).toHaveLength(3);
+    expect(tournament.players.filter(p => p.score === 1)).toHaveLength(3);
+  });
+
+  test('winners of neighbouring pairings meet next, and a drawn game is replayed', () => {
+    const tournament = createTournament('knockout', 4);
+    const first = tournaments.startRound(tournament);
+    expect(seedsOf(tournament, first)).toEqual([[1, 4], [2, 3]]);
+
+    tournaments.recordResult(tournament, first.pairings[0], first.pairings[0].players[0]);
+    first.pairings[1].match = new mongoose.Types.ObjectId();
+    tournaments.recordResult(tournament, first.pairings[1], null);
+    expect(first.pairings[1].result).toBe('pending');
+    expect(first.pairings[1].match).toBeUndefined();
+    expect(tournaments.isRoundComplete(first)).toBe(false);
+
+    tournaments.recordResult(tournament, first.pairings[1], first.pairings[1].players[1]);
+    expect(tournaments.isRoundComplete(first)).toBe(true);
+    expect(tournaments.isFinished(tournament)).toBe(false);
+
+    const final = tournaments.startRound(tournament);
+    expect(seedsOf(tournament, final)).toEqual([[1, 3]]);
+
+    tournaments.recordResult(tournament, final.pairings[0], final.pairings[0].players[1]);
+    expect(tournaments.isFinished(tournament)).toBe(true);
+
+    const places = tournaments.computeStandings(tournament).map(row => seedOf(tournament, row.user));
+    expect(places).toEqual([3, 1, 2, 4]);
+  });
+
+  test('a double forfeit sends the higher seed through', () => {
+    const tournament = createTournament('knockout', 2);
+    const [pairing] = tournaments.startRound(tournament).pairings;
+
+    pairing.players.reverse(); // the lower seed listed first
+    tournaments.recordResult(tournament, pairing, null, 'forfeit');
+    expect(seedOf(tournament, pairing.winner)).toBe(1);
+  });
+});
+
+describe('swiss', () => {
+  test('the bye goes to the lowest ranked player and is listed last', () => {
+    const tournament = createTournament('swiss', 5);
+    const round = tournaments.startRound(tournament);
+
+    expect(seedsOf(tournament, round)).toEqual([[1, 2], [3, 4], [5]]);
+    expect(tournament.players[4].hadBye).toBe(true);
+  });
+
+  test('players do not get a second bye or meet the same opponent twice', () => {
+    const tournament = createTournament('swiss', 5);
+    const first = tournaments.startRound(tournament);
+    tournaments.recordResult(tournament, first.pairings[0], first.pairings[0].players[0]);
+    tournaments.recordResult(tournament, first.pairings[1], null);
+
+    const second = tournaments.startRound(tournament);
+    const byes = second.pairings.filter(p => p.result === 'bye');
+    expect(byes).toHaveLength(1);
+    expect(seedOf(tournament, byes[0].winner)).not.toBe(5);
+
+    const firstGames = first.pairings.filter(p => p.players.length === 2).map(p => p.players.map(String).sort().join());
+    const secondGames = second.pairings.filter(p => p.players.length === 2).map(p => p.players.map(String).sort().join());
+    expect(secondGames.some(game => firstGames.includes(game))).toBe(false);
+  });
+
+  test('draws score half a point each and standings break ties on Buchholz', () => {
+    const tournament = createTournament('swiss', 4);
+    tournament.totalRounds = 2;
+
+    const first = tournaments.startRound(tournament);
+    tournaments.recordResult(tournament, first.pairings[0], first.pairings[0].players[0]);
+    tournaments.recordResult(tournament, first.pairings[1], null);
+    expect(tournament.players.map(p => p.score)).toEqual([1, 0, 0.5, 0.5]);
+
+    const second = tournaments.startRound(tournament);
+    for (const pairing of second.pairings) {
+      tournaments.recordResult(tournament, pairing, null);
+    }
+    expect(tournaments.isFinished(tournament)).toBe(true);
+
+    const standings = tournaments.computeStandings(tournament);
+    expect(standings.map(row => row.place)).toEqual([1, 2, 3, 4]);
+    expect(standings[0].score).toBe(1.5);
+    expect(standings.map(row => row.score)).toEqual([...standings.map(row => row.score)].sort((a, b) => b - a));
+  });
+});
+
+describe('prizeAmounts', () => {
+  test('splits the pool by percentage', () => {
+    expect(tournaments.prizeAmounts(100, [50, 30, 20])).toEqual([50, 30, 20]);
+  });
+
+  test('gives the rounding left over to the winner', () => {
+    const amounts = tournaments.prizeAmounts(33.33, [50, 30, 20]);
+
+    expect(amounts).toEqual([16.68, 9.99, 6.66]);
+    expect(amounts.reduce((sum, amount) => sum + amount, 0)).toBeCloseTo(33.33, 10);
+  });
+
+  test('leaves the remainder in the pool when the table does not add up to 100', () => {
+    expect(tournaments.prizeAmounts(200, [50, 25])).toEqual([100, 50]);
+  });
+});
@@ -0,0 +1,331 @@
+// Tournament pairings, results, standings and the money side of entry fees and prizes.
+// Round and pairing functions work on a Tournament document and leave saving to the caller.
+const { User, Tournament, Transaction } = require('./models');
+
+const idOf = (value) => (value?._id || value)?.toString() ?? null;
+
+const findPlayer = (tournament, userId) => tournament.players.find(p => idOf(p.user) === idOf(userId));
+
+// Registered players, strongest first
+const bySeed = (tournament) => [...tournament.players].sort((a, b) => b.rating - a.rating);
+
+// Swiss tournaments last long enough to separate the field unless a round count was set;
+// knockouts until one player is left
+const totalRounds = (tournament) => {
+  const rounds = Math.max(1, Math.ceil(Math.log2(tournament.players.length)));
+  return tournament.format === 'swiss' && tournament.totalRounds ? tournament.totalRounds : rounds;
+};
+
+// Bracket positions of the seeds, so the top two seeds can only meet in the final:
+// [1, 2] -> [1, 4, 2, 3] -> [1, 8, 4, 5, 2, 7, 3, 6]
+const seedingOrder = (size) => {
+  let order = [1];
+  while (order.length < size) {
+    const length = order.length * 2;
+    order = order.flatMap(seed => [seed, length + 1 - seed]);
+  }
+  return order;
+};
+
+const opponentsOf = (tournament, userId) => {
+  const opponents = [];
+  for (const round of tournament.rounds) {
+    for (const pairing of round.pairings) {
+      const ids = pairing.players.map(idOf);
+      if (ids.length === 2 && ids.includes(idOf(userId))) {
+        opponents.push(ids.find(id => id !== idOf(userId)));
+      }
+    }
+  }
+  return opponents;
+};
+
+// A single player in a pairing has a bye and scores the point straight away
+const byePairing = (userId) => ({ players: [userId], result: 'bye', winner: userId });
+
+const knockoutPairings = (tournament) => {
+  if (tournament.rounds.length === 0) {
+    const seeds = bySeed(tournament);
+    const order = seedingOrder(2 ** Math.ceil(Math.log2(seeds.length)));
+    const pairings = [];
+
+    for (let i = 0; i < order.length; i += 2) {
+      const [first, second] = [seeds[order[i] - 1], seeds[order[i + 1] - 1]];
+      pairings.push(second ? { players: [first.user, second.user] } : byePairing(first.user));
+    }
+    return pairings;
+  }
+
+  // Winners of neighbouring pairings meet in the next round
+  const previous = tournament.rounds[tournament.rounds.length - 1].pairings;
+  const pairings = [];
+  for (let i = 0; i < previous.length; i += 2) {
+    pairings.push({ players: [previous[i].winner, previous[i + 1].winner] });
+  }
+  return pairings;
+};
+
+// Search budget for pairing a Swiss round without repeat games
+const MAX_PAIRING_TRIES = 10000;
+
+// Pairs players top down, each with the highest ranked opponent they have not met that
+// still lets everyone below be paired without repeats. Null when there is no such pairing,
+// or none was found within the budget.
+const pairWithoutRepeats = (tournament, ranked, budget = { tries: MAX_PAIRING_TRIES }) => {
+  if (ranked.length === 0) return [];
+
+  const [player, ...rest] = ranked;
+  const previousOpponents = opponentsOf(tournament, player.user);
+
+  for (const opponent of rest) {
+    if (previousOpponents.includes(idOf(opponent.user))) continue;
+    if (--budget.tries < 0) return null;
+
+    const others = pairWithoutRepeats(tournament, rest.filter(other => other !== opponent), budget);
+    if (others) return [{ players: [player.user, opponent.user] }, ...others];
+  }
+
+  return null;
+};
+
+// Players are sorted by score and paired top down, avoiding repeat games when possible.
+// With an odd number the lowest ranked player who has not had a bye yet gets one.
+const swissPairings = (tournament) => {
+  const ranked = [...tournament.players].sort((a, b) => b.score - a.score || b.rating - a.rating);
+
+  let bye = null;
+  if (ranked.length % 2 === 1) {
+    const byeIndex = ranked.map(p => p.hadBye).lastIndexOf(false);
+    const [byePlayer] = ranked.splice(byeIndex === -1 ? ranked.length - 1 : byeIndex, 1);
+    bye = byePairing(byePlayer.user);
+  }
+
+  let pairings = pairWithoutRepeats(tournament, ranked);
+
+  // Repeats cannot be avoided: each player takes the first opponent they have not met yet
+  if (!pairings) {
+    pairings = [];
+    while (ranked.length > 0) {
+      const player = ranked.shift();
+      const previousOpponents = opponentsOf(tournament, player.user);
+      const index = ranked.findIndex(other => !previousOpponents.includes(idOf(other.user)));
+      const [opponent] = ranked.splice(index === -1 ? 0 : index, 1);
+      pairings.push({ players: [player.user, opponent.user] });
+    }
+  }
+
+  return bye ? [...pairings, bye] : pairings;
+};
+
+// Adds the next round with its pairings. Byes are scored at once.
+const startRound = (tournament) => {
+  const pairings = tournament.format === 'knockout' ? knockoutPairings(tournament) : swissPairings(tournament);
+  tournament.currentRound += 1;
+  tournament.rounds.push({ number: tournament.currentRound, startedAt: new Date(), pairings });
+
+  for (const pairing of pairings.filter(p => p.result === 'bye')) {
+    const player = findPlayer(tournament, pairing.winner);
+    player.hadBye = true;
+    player.score += 1;
+  }
+
+  return tournament.rounds[tournament.rounds.length - 1];
+};
+
+// Records the outcome of a pairing; `winnerId` is null for a draw (or a double forfeit).
+// A knockout game cannot end level: a drawn game is replayed, so the pairing stays pending
+// without its match, and a double forfeit sends the higher seed through.
+const recordResult = (tournament, pairing, winnerId, result = winnerId ? 'win' : 'draw') => {
+  const [first, second] = pairing.players.map(userId => findPlayer(tournament, userId));
+
+  if (tournament.format === 'knockout' && result === 'draw') {
+    pairing.match = undefined;
+    return;
+  }
+
+  if (tournament.format === 'knockout') {
+    const higherSeed = first.rating >= second.rating ? first : second;
+    const winner = winnerId ? findPlayer(tournament, winnerId) : higherSeed;
+    const loser = winner === first ? second : first;
+    pairing.winner = winner.user;
+    loser.eliminatedInRound = tournament.currentRound;
+    winner.score += 1;
+  } else if (winnerId) {
+    pairing.winner = winnerId;
+    findPlayer(tournament, winnerId).score += 1;
+  } else if (result === 'draw') {
+    first.score += 0.5;
+    second.score += 0.5;
+  }
+
+  pairing.result = result;
+};
+
+const currentRoundOf = (tournament) => tournament.rounds[tournament.rounds.length - 1] || null;
+
+const isRoundComplete = (round) => round.pairings.every(pairing => pairing.result !== 'pending');
+
+const isFinished = (tournament) => {
+  const round = currentRoundOf(tournament);
+  return Boolean(round) && isRoundComplete(round) && tournament.currentRound >= totalRounds(tournament);
+};
+
+// Final order. Knockout: by how far each player got, then seed. Swiss: by score, then the
+// sum of the opponents' scores (Buchholz), then rating.
+const computeStandings = (tournament) => {
+  const scoreOf = (userId) => findPlayer(tournament, userId)?.score || 0;
+
+  const rows = tournament.players.map(player => ({
+    user: player.user,
+    score: player.score,
+    tiebreak: tournament.format === 'swiss'
+      ? opponentsOf(tournament, player.user).reduce((sum, id) => sum + scoreOf(id), 0)
+      : player.eliminatedInRound || Infinity,
+    rating: player.rating
+  }));
+
+  rows.sort((a, b) =>
+    (tournament.format === 'swiss' ? b.score - a.score : 0) ||
+    b.tiebreak - a.tiebreak ||
+    b.rating - a.rating
+  );
+
+  return rows.map((row, index) => ({ user: row.user, place: index + 1, score: row.score }));
+};
+
+// Splits the pool by the distribution table (percentages by place). Amounts are rounded
+// to cents and whatever rounding leaves over goes to the winner.
+const prizeAmounts = (pool, distribution) => {
+  const amounts = distribution.map(percent => Math.floor(pool * percent) / 100);
+  const distributed = distribution.reduce((sum, percent) => sum + percent, 0);
+  if (amounts.length > 0 && distributed === 100) {
+    amounts[0] = Math.round((pool - amounts.slice(1).reduce((sum, amount) => sum + amount, 0)) * 100) / 100;
+  }
+  return amounts;
+};
+
+// Takes the entry fee and registers the player. Registration is claimed with a single
+// conditional update so the tournament cannot be overfilled.
+const joinTournament = async (tournamentId, user) => {
+  const now = new Date();
+  const tournament = await Tournament.findById(tournamentId);
+
+  if (!tournament) return { status: 404, message: 'Tournament not found' };
+  if (tournament.status !== 'registration' || tournament.registrationOpensAt > now || tournament.registrationClosesAt <= now) {
+    return { status: 400, message: 'Registration is closed' };
+  }
+  if (findPlayer(tournament, user.id)) return { status: 400, message: 'Already registered' };
+  if (user.balance < tournament.entryFee) return { status: 400, message: 'Insufficient balance' };
+
+  const registered = await Tournament.findOneAndUpdate(
+    {
+      _id: tournament._id,
+      status: 'registration',
+      'players.user': { $ne: user.id },
+      [`players.${tournament.maxPlayers - 1}`]: { $exists: false }
+    },
+    {
+      $push: { players: { user: user.id, rating: user.ratings[tournament.variant].rating } },
+      $inc: { prizePool: tournament.entryFee }
+    },
+    { new: true }
+  );
+
+  if (!registered) return { status: 400, message: 'Tournament is full or closed' };
+
+  if (tournament.entryFee > 0) {
+    const payer = await User.findOneAndUpdate(
+      { _id: user.id, balance: { $gte: tournament.entryFee } },
+      { $inc: { balance: -tournament.entryFee } },
+      { new: true }
+    );
+
+    if (!payer) {
+      await Tournament.findByIdAndUpdate(tournament._id, {
+        $pull: { players: { user: user.id } },
+        $inc: { prizePool: -tournament.entryFee }
+      });
+      return { status: 400, message: 'Insufficient balance' };
+    }
+
+    await Transaction.create({
+      user: user.id,
+      type: 'tournamentEntry',
+      amount: -tournament.entryFee,
+      description: `Entry fee for ${tournament.name}`,
+      relatedTournament: tournament._id,
+      balanceAfter: payer.balance
+    });
+  }
+
+  return { tournament: registered };
+};
+
+// Calls a tournament off and gives every entry fee back
+const cancelTournament = async (tournamentId, reason) => {
+  const tournament = await Tournament.findOneAndUpdate(
+    { _id: tournamentId, status: { $in: ['registration', 'running'] } },
+    { $set: { status: 'cancelled', cancelReason: reason, endedAt: new Date() } },
+    { new: true }
+  );
+  if (!tournament) return null;
+
+  if (tournament.entryFee > 0) {
+    for (const player of tournament.players) {
+      const user = await User.findByIdAndUpdate(player.user, { $inc: { balance: tournament.entryFee } }, { new: true });
+
+      await Transaction.create({
+        user: player.user,
+        type: 'refund',
+        amount: tournament.entryFee,
+        description: `Tournament cancelled - entry fee refunded (${tournament.name})`,
+        relatedTournament: tournament._id,
+        balanceAfter: user.balance
+      });
+    }
+  }
+
+  return tournament;
+};
+
+// Stores the final standings and pays out the prize pool
+const completeTournament = async (tournament) => {
+  const standings = computeStandings(tournament);
+  const amounts = prizeAmounts(tournament.prizePool, tournament.prizeDistribution);
+
+  tournament.standings = standings.map((row, index) => ({ ...row, prize: amounts[index] || 0 }));
+  tournament.status = 'completed';
+  tournament.endedAt = new Date();
+  await tournament.save();
+
+  for (const row of tournament.standings.filter(r => r.prize > 0)) {
+    const user = await User.findByIdAndUpdate(row.user, { $inc: { balance: row.prize, totalWinnings: row.prize } }, { new: true });
+
+    await Transaction.create({
+      user: row.user,
+      type: 'tournamentPrize',
+      amount: row.prize,
+      description: `Prize for place ${row.place} in ${tournament.name}`,
+      relatedTournament: tournament._id,
+      balanceAfter: user.balance
+    });
+  }
+
+  return tournament;
+};
+
+module.exports = {
+  idOf,
+  totalRounds,
+  seedingOrder,
+  startRound,
+  recordResult,
+  currentRoundOf,
+  isRoundComplete,
+  isFinished,
+  computeStandings,
+  prizeAmounts,
+  joinTournament,
+  cancelTournament,
+  completeTournament
+};